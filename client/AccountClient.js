@@ -0,0 +1,91 @@
+/**
+ * Client side of the account API (/api on the game server). Keeps the login
+ * token in localStorage; GameClient passes it on every connection so our
+ * player is linked to the account.
+ */
+export class AccountClient {
+  constructor(gameClient) {
+    this.gameClient = gameClient; // For getServerUrl()
+    this.token = localStorage.getItem('accountToken');
+    this.account = null; // Public account from the server while logged in
+    this.listeners = []; // Called with the account (or null) on login and logout
+  }
+
+  // Check a saved token; an expired or unknown one logs us out
+  async load() {
+    if (!this.token) return null;
+    try {
+      this.setAccount(this.token, await this.request('GET', '/api/account'));
+    } catch (e) {
+      if (e.status === 401) {
+        this.setAccount(null, null);
+      } else {
+        console.warn('Could not load account:', e.message);
+      }
+    }
+    return this.account;
+  }
+
+  async register(username, password) {
+    const { token, account } = await this.request('POST', '/api/register', { username, password });
+    this.setAccount(token, account);
+    return account;
+  }
+
+  async login(username, password) {
+    const { token, account } = await this.request('POST', '/api/login', { username, password });
+    this.setAccount(token, account);
+    return account;
+  }
+
+  async logout() {
+    try {
+      await this.request('POST', '/api/logout');
+    } catch (e) {
+      // Logged out locally either way
+    }
+    this.setAccount(null, null);
+  }
+
+  // Keybinds and/or theme
+  saveSettings(settings) {
+    if (!this.account) return;
+    this.request('PUT', '/api/account/settings', settings)
+      .then((account) => { this.account = account; })
+      .catch((e) => console.warn('Could not save settings:', e.message));
+  }
+
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  setAccount(token, account) {
+    this.token = token;
+    this.account = account;
+    if (token) {
+      localStorage.setItem('accountToken', token);
+    } else {
+      localStorage.removeItem('accountToken');
+    }
+    this.listeners.forEach((listener) => listener(account));
+  }
+
+  // JSON request; failures throw an Error with the server's message and the HTTP status
+  async request(method, path, body) {
+    const headers = {};
+    if (body) headers['Content-Type'] = 'application/json';
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+    const res = await fetch(`${this.gameClient.getServerUrl('http')}${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = res.status === 204 ? null : await res.json().catch(() => null);
+    if (!res.ok) {
+      const error = new Error(data?.error || `Request failed (${res.status})`);
+      error.status = res.status;
+      throw error;
+    }
+    return data;
+  }
+}
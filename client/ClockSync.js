@@ -0,0 +1,44 @@
+// Offset samples kept; the one with the lowest round trip is the most accurate
+const MAX_SAMPLES = 8;
+
+/**
+ * Estimates the offset between the local clock and the server clock from
+ * ping/pong round trips, so snapshots can be placed on the server timeline.
+ */
+export class ClockSync {
+  constructor() {
+    this.samples = []; // {rtt, offset}
+    this.offset = 0;
+    this.synced = false;
+  }
+
+  reset() {
+    this.samples = [];
+    this.offset = 0;
+    this.synced = false;
+  }
+
+  // Rough estimate from a snapshot timestamp, until the first pong arrives
+  observeServerTime(serverTime) {
+    if (this.synced) return;
+    this.offset = serverTime - Date.now();
+    this.synced = true;
+  }
+
+  addSample(sentAt, serverTime, receivedAt) {
+    const rtt = receivedAt - sentAt;
+    // Assume the server stamped its time halfway through the round trip
+    this.samples.push({ rtt, offset: serverTime + rtt / 2 - receivedAt });
+    if (this.samples.length > MAX_SAMPLES) {
+      this.samples.shift();
+    }
+
+    const best = this.samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    this.offset = best.offset;
+    this.synced = true;
+  }
+
+  serverNow() {
+    return Date.now() + this.offset;
+  }
+}
@@ -1,3 +1,16 @@
+import {
+  encodeMessage,
+  decodeMessage,
+  createSnapshotState,
+  applySnapshotDelta,
+  quantizeInput,
+  SNAPSHOT_HISTORY_SIZE
+} from '../shared/Protocol.js';
+import { TICK_MS } from '../shared/Movement.js';
+import { Prediction } from './Prediction.js';
+import { ClockSync } from './ClockSync.js';
+import { SnapshotBuffer } from './SnapshotBuffer.js';
+
 // PIXI.js is loaded globally via script tag
 const PIXI = window.PIXI;
 
@@ -17,11 +30,23 @@ export class GameClient {
     this.virusProjectiles = new Map();
     this.feedParticles = []; // Visual particles for feeding
 
-    // Interpolation
+    // Delta snapshots: reconstructed states by sequence number (possible delta baselines)
+    this.snapshotStates = new Map();
+    this.currentState = createSnapshotState();
+    this.awaitingKeyframe = false;
+
+    // Interpolation: remote entities render at serverTime - interpolationDelay,
+    // between the two buffered snapshots around that time
     this.serverState = null;
     this.clientState = null;
     this.lastSnapshotTime = 0;
-    this.interpolationDelay = 50; // 50ms delay for interpolation
+    this.interpolationDelay = 100; // Covers ~5 late ticks of network jitter at 60 TPS
+    this.clock = new ClockSync();
+    this.snapshotBuffer = new SnapshotBuffer();
+    this.interpolation = null; // {from, to, alpha} for the current frame
+    this.displayState = createSnapshotState(); // What the entity graphics currently show
+    this.displayRemote = null; // Buffered snapshot displayState was built from...
+    this.displayLocal = null; // ...and the newest snapshot (our own cells aren't delayed)
 
     // Input
     this.mouseX = 0;
@@ -29,12 +54,17 @@ export class GameClient {
     this.inputDirX = 0;
     this.inputDirY = 0;
     this.lastInputTime = 0;
-    this.inputRate = 1000 / 120; // 120Hz for better cursor responsiveness (was 60Hz)
+    this.inputRate = TICK_MS; // One input per server tick, so inputs can be replayed tick for tick
+    this.inputLoop = null;
+
+    // Client-side prediction of our own cells
+    this.prediction = new Prediction();
 
     // Ping
     this.ping = 0;
     this.pingHistory = []; // Store recent ping measurements for averaging
     this.pendingPings = new Map(); // Track pending ping requests
+    this.pingLoop = null;
 
     // Zoom
     this.zoom = 1.0;
@@ -45,13 +75,49 @@ export class GameClient {
     this.previousCellCount = 0; // Track cell count to detect splits
     this.previousLargestMass = 0; // Track largest cell mass to detect auto-split
     this.zoomTransitionTime = 0; // Time since last major zoom change
+    this.lastSentViewport = null; // Last viewport reported to the server (for snapshot culling)
+
+    // World-wide info (snapshots only contain entities near us)
+    this.leaderboard = [];
+    this.playerCount = 0;
+
+    // Room - a mode name matchmakes; the server tells us the room we ended up in
+    this.roomId = 'instant';
+    this.mode = null;
 
     // Session
+    this.resumeToken = null; // From init - lets us reclaim our player after a disconnect
+    this.accountToken = null; // Login token (AccountClient) - links our player to the account
+    this.shutdownNotice = document.getElementById('shutdownNotice');
+    this.deathScreen = document.getElementById('deathScreen');
+    this.isDead = false; // Set by a death message until we respawn
+    this.shutdownTimer = null;
     this.isPlaying = false;
     this.playerName = null;
     
+    // Game events from the server (eats, kills, merges, ...)
+    this.gameEventListeners = [];
+    this.chatListeners = []; // Called with each chatMessage from the server
+    // Party: the last partyState (null when not in one), our member key, and party members' positions
+    this.party = null;
+    this.partyKey = null; // Passed back on every connection so we stay in the party
+    this.partyListeners = [];
+    this.partyPositions = [];
+    this.followedPartyRoom = null; // Last party room we reconnected for, so a full room can't loop us
+    // Spectating: on a spectator connection (no player of our own), or after dying
+    this.spectator = false; // Connect with ?spectate=1
+    this.spectateMode = null; // Last mode we asked for ('top', 'player', 'free', ...); null = watching ourselves
+    this.spectateTarget = 0; // Player the server's view follows, from snapshots (0: none)
+    this.freeCamera = null; // Camera center while free-roaming
+    this.lastSpectateSend = 0;
+    this.lastKillerId = 0; // From the death message, for "Spectate killer"
+    this.spectateBar = document.getElementById('spectateBar');
+    this.mergedCells = new Map(); // merged cellId -> {cellId it merged into, time}, from merge events
+
     // Debug
     this.debugMode = false;
+    this.serverPanel = document.getElementById('serverPanel');
+    this.serverPerfTimer = null;
 
     // Minimap
     this.minimapCanvas = document.getElementById('minimap');
@@ -225,6 +291,9 @@ export class GameClient {
 
   handleKeyPress(event, isDown) {
     if (!isDown) return;
+    // Typing in chat shouldn't split or feed
+    if (event.target instanceof HTMLInputElement) return;
+    if (this.isSpectating() && this.handleSpectateKey(event)) return;
 
     const keybinds = this.keybindManager;
 
@@ -251,13 +320,14 @@ export class GameClient {
     } else if (keybinds.isPressed('stop', event)) {
       this.sendAction('stop');
     } else if (keybinds.isPressed('respawn', event)) {
-      this.sendAction('respawn');
+      this.respawn();
     }
   }
 
   setupResize() {
     window.addEventListener('resize', () => {
       this.app.renderer.resize(window.innerWidth, window.innerHeight);
+      this.sendViewport(true);
       // Redraw background if config is loaded
       if (this.config) {
         this.drawBackground();
@@ -273,7 +343,8 @@ export class GameClient {
     this.minimapCanvas.height = size;
   }
 
-  connect() {
+  // Base URL of the game server; scheme is 'ws' for the socket or 'http' for REST endpoints
+  getServerUrl(scheme) {
     // Get backend URL from config or use same host
     // For Firebase deployment, update client/config.js with your Cloud Run URL
     let backendUrl = window.location.host;
@@ -286,32 +357,55 @@ export class GameClient {
       backendUrl = window.BACKEND_URL;
     }
     
-    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const protocol = window.location.protocol === 'https:' ? `${scheme}s:` : `${scheme}:`;
     
     // If backendUrl is a full URL, use it directly; otherwise construct from current host
-    let wsUrl;
     if (backendUrl.includes('://')) {
       // Full URL provided
-      wsUrl = backendUrl.replace(/^https?:/, protocol === 'wss:' ? 'wss:' : 'ws:');
+      return backendUrl.replace(/^(https?|wss?):/, protocol);
     } else if (backendUrl && backendUrl !== window.location.host) {
       // Custom hostname provided, construct URL
-      wsUrl = `${protocol}//${backendUrl}`;
-    } else {
-      // Use same host (local development)
-      wsUrl = `${protocol}//${window.location.host}`;
+      return `${protocol}//${backendUrl}`;
+    }
+    // Use same host (local development)
+    return `${protocol}//${window.location.host}`;
+  }
+
+  connect() {
+    // Reclaim our player if the server still holds it, otherwise join the chosen room
+    let wsUrl = this.getServerUrl('ws');
+    wsUrl += `${wsUrl.includes('?') ? '&' : '?'}room=${encodeURIComponent(this.roomId)}`;
+    if (this.spectator) {
+      wsUrl += '&spectate=1';
+    } else if (this.resumeToken) {
+      wsUrl += `&resume=${encodeURIComponent(this.resumeToken)}`;
+    }
+    if (this.partyKey) {
+      wsUrl += `&party=${encodeURIComponent(this.partyKey)}`;
     }
     
-    console.log('Connecting to:', wsUrl);
+    console.log('Connecting to:', wsUrl.split('?')[0]); // The query holds our resume token
     // Optimize WebSocket for low latency
     this.ws = new WebSocket(wsUrl);
     
-    // Set binary type for potential future optimization
+    // All server messages use the binary protocol (shared/Protocol.js)
     this.ws.binaryType = 'arraybuffer';
 
     this.ws.onopen = () => {
       console.log('Connected to server');
+      this.lastSentViewport = null;
+      // Sequence numbers and server timeline restart per connection
+      this.snapshotStates.clear();
+      this.awaitingKeyframe = false;
+      this.snapshotBuffer.clear();
+      this.clock.reset();
+      this.sendViewport(true);
       this.startInputLoop();
       this.startPingLoop();
+      // Before the name: an account player's name is its username
+      if (this.accountToken) {
+        this.send({ type: 'login', token: this.accountToken });
+      }
       if (this.playerName) {
         this.sendName(this.playerName);
       }
@@ -319,10 +413,10 @@ export class GameClient {
 
     this.ws.onmessage = (event) => {
       try {
-        const message = JSON.parse(event.data);
+        const message = decodeMessage(event.data);
         this.handleMessage(message);
       } catch (e) {
-        console.error('Error parsing message:', e);
+        console.error('Error decoding message:', e);
       }
     };
 
@@ -330,17 +424,269 @@ export class GameClient {
       console.error('WebSocket error:', error);
     };
 
-    this.ws.onclose = () => {
+    this.ws.onclose = (event) => {
       console.log('Disconnected from server');
+      if (event.code === 1012) {
+        // Server shut down (or is draining). Keep the resume token: a server restarted from
+        // the same world save gives our cells back, and any other server just ignores it
+        this.hideShutdownNotice();
+        this.switchToOtherRegion();
+        setTimeout(() => this.connect(), 1000);
+        return;
+      }
+      if (event.code === 4001) {
+        // Our session was resumed by another connection (e.g. another tab)
+        return;
+      }
+      if (event.code === 4002) {
+        // Room refused us (full or invalid) - fall back to matchmaking in its mode, or the default one
+        console.warn(`Cannot join room ${this.roomId}: ${event.reason}`);
+        const mode = this.roomId.split('-')[0];
+        this.roomId = mode === this.roomId ? 'instant' : mode;
+      }
       setTimeout(() => this.connect(), 3000);
     };
   }
 
+  // Leave the current room and join another one ('instant', 'wager', or a specific room ID)
+  switchRoom(roomId) {
+    if (roomId === this.roomId || roomId === this.mode) return;
+    this.rejoin(roomId);
+  }
+
+  // Drop our player and join roomId on a new connection. Party members always land in the party's room
+  rejoin(roomId) {
+    this.roomId = roomId;
+    this.resumeToken = null;
+    if (this.ws) {
+      // Reconnect right away instead of after the usual delay, and ignore the old room's snapshots
+      this.ws.onclose = null;
+      this.ws.onmessage = null;
+      this.ws.close(1000, 'Switching rooms'); // Normal close - the server removes our player
+    }
+    this.connect();
+  }
+
+  // Logging in or out takes effect with a fresh player, in the same room
+  setAccountToken(token) {
+    if (token === this.accountToken) return;
+    this.accountToken = token;
+    if (this.ws) {
+      this.rejoin(this.roomId);
+    }
+  }
+
+  // Point getServerUrl at a region other than the current one, if any are configured.
+  // Without regions we reconnect to the same host and let the load balancer pick a live server
+  switchToOtherRegion() {
+    const regions = window.BACKEND_REGIONS;
+    if (!regions) return;
+    const current = window.BEST_BACKEND_URL || window.BACKEND_URL;
+    const others = Object.values(regions).filter((url) => url !== current);
+    if (others.length === 0) return;
+    window.BEST_BACKEND_URL = others[Math.floor(Math.random() * others.length)];
+    // Don't let RegionSelector's cache send us back to the host that went away
+    try {
+      localStorage.removeItem('instant-io-best-region');
+    } catch (e) {
+      // Ignore localStorage errors
+    }
+    console.log('Switching to region:', window.BEST_BACKEND_URL);
+  }
+
+  respawn() {
+    this.sendAction('respawn');
+    this.isDead = false;
+    if (!this.spectator) {
+      this.spectateMode = null;
+      this.updateSpectateBar();
+    }
+    this.hideDeathScreen();
+  }
+
+  isSpectating() {
+    return this.spectator || this.spectateMode !== null;
+  }
+
+  // mode: 'top', 'player' (targetId), 'next', 'previous' or 'free'
+  spectate(mode, targetId = 0) {
+    this.spectateMode = mode === 'free' ? 'free' : mode === 'top' ? 'top' : 'player';
+    if (mode === 'free') {
+      // Start roaming from wherever the camera is now
+      this.freeCamera = {
+        x: this.lastCameraX || (this.config ? this.config.mapWidth / 2 : 0),
+        y: this.lastCameraY || (this.config ? this.config.mapHeight / 2 : 0)
+      };
+    }
+    const camera = this.freeCamera || { x: 0, y: 0 };
+    this.send({ type: 'spectate', mode, targetId, x: camera.x, y: camera.y });
+    this.lastSpectateSend = Date.now();
+    this.updateSpectateBar();
+  }
+
+  // Watch the current room without a player (our player, if any, leaves the room)
+  startSpectating() {
+    this.spectator = true;
+    this.spectateMode = 'top';
+    this.isDead = false;
+    this.hideDeathScreen();
+    this.rejoin(this.roomId);
+  }
+
+  stopSpectating() {
+    this.spectator = false;
+    this.spectateMode = null;
+    this.freeCamera = null;
+    this.updateSpectateBar();
+    this.rejoin(this.roomId);
+  }
+
+  // From the death screen: watch whoever ate us until we respawn
+  spectateKiller() {
+    this.hideDeathScreen();
+    if (this.lastKillerId) {
+      this.spectate('player', this.lastKillerId);
+    } else {
+      this.spectate('top');
+    }
+  }
+
+  handleSpectateKey(event) {
+    switch (event.key) {
+      case 'ArrowRight':
+        this.spectate('next');
+        return true;
+      case 'ArrowLeft':
+        this.spectate('previous');
+        return true;
+      case 't':
+      case 'T':
+        this.spectate('top');
+        return true;
+      case 'f':
+      case 'F':
+        this.spectate('free');
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  // Free roam: the camera drifts toward the mouse, and the server centers our view on it
+  updateFreeCamera() {
+    if (this.spectateMode !== 'free' || !this.freeCamera || !this.config) return;
+    const dx = this.mouseX - this.app.screen.width / 2;
+    const dy = this.mouseY - this.app.screen.height / 2;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    const deadZone = 50; // Screen pixels around the center where the camera holds still
+    if (dist > deadZone) {
+      // Up to 20 screen pixels per input tick, at any zoom
+      const speed = 20 * Math.min(1, (dist - deadZone) / 300) / this.zoom;
+      this.freeCamera.x = Math.max(0, Math.min(this.config.mapWidth, this.freeCamera.x + (dx / dist) * speed));
+      this.freeCamera.y = Math.max(0, Math.min(this.config.mapHeight, this.freeCamera.y + (dy / dist) * speed));
+    }
+    const now = Date.now();
+    if (now - this.lastSpectateSend >= 100) {
+      this.send({ type: 'spectate', mode: 'free', targetId: 0, x: this.freeCamera.x, y: this.freeCamera.y });
+      this.lastSpectateSend = now;
+    }
+  }
+
+  updateSpectateBar() {
+    if (!this.spectateBar) return;
+    const spectating = this.isSpectating();
+    this.spectateBar.classList.toggle('active', spectating);
+    if (!spectating) return;
+    let watching = 'Free camera';
+    if (this.spectateMode !== 'free') {
+      const target = this.players.get(this.spectateTarget);
+      watching = target ? `Spectating ${target.data.name || 'player'}` : 'Spectating';
+    }
+    this.spectateBar.textContent = `${watching} - ←/→ players, T top player, F free camera, ` +
+      (this.spectator ? 'Esc menu' : 'respawn to play');
+  }
+
+  showDeathScreen(stats) {
+    this.isDead = true;
+    this.lastKillerId = stats.killerId;
+    if (!this.deathScreen) return;
+    const seconds = Math.round(stats.timeAlive / 1000);
+    const rows = [
+      ['Time alive', `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`],
+      ['Peak mass', stats.peakMass],
+      ['Mass eaten', stats.massEaten],
+      ['Pellets eaten', stats.pelletsEaten],
+      ['Players eaten', stats.kills.length],
+      ['Splits', stats.splits],
+      ['Viruses hit', stats.virusesHit]
+    ];
+    document.getElementById('deathTitle').textContent = stats.killerName
+      ? `Eaten by ${stats.killerName}`
+      : 'You died';
+    const statsList = document.getElementById('deathStats');
+    statsList.replaceChildren();
+    rows.forEach(([label, value]) => {
+      const labelEl = document.createElement('div');
+      labelEl.textContent = label;
+      const valueEl = document.createElement('div');
+      valueEl.className = 'value';
+      valueEl.textContent = value;
+      statsList.append(labelEl, valueEl);
+    });
+    document.getElementById('deathKills').textContent = stats.kills.length > 0
+      ? `You ate ${stats.kills.join(', ')}`
+      : '';
+    this.deathScreen.classList.add('active');
+  }
+
+  hideDeathScreen() {
+    if (this.deathScreen) {
+      this.deathScreen.classList.remove('active');
+    }
+  }
+
+  showShutdownNotice(countdownMs, reason) {
+    if (!this.shutdownNotice) return;
+    const deadline = Date.now() + countdownMs;
+    const update = () => {
+      const seconds = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+      this.shutdownNotice.textContent = `${reason} in ${seconds}s - you will be moved to another server`;
+    };
+    clearInterval(this.shutdownTimer);
+    update();
+    this.shutdownTimer = setInterval(update, 250);
+    this.shutdownNotice.style.display = 'block';
+  }
+
+  hideShutdownNotice() {
+    clearInterval(this.shutdownTimer);
+    this.shutdownTimer = null;
+    if (this.shutdownNotice) {
+      this.shutdownNotice.style.display = 'none';
+    }
+  }
+
+  fetchRooms() {
+    return fetch(`${this.getServerUrl('http')}/rooms`).then((res) => res.json());
+  }
+
+  // Daily, weekly and all-time tables of the best lives on this server
+  fetchLeaderboards(limit = 10) {
+    return fetch(`${this.getServerUrl('http')}/leaderboards?limit=${limit}`).then((res) => res.json());
+  }
+
   handleMessage(message) {
     switch (message.type) {
       case 'init':
         this.playerId = message.playerId;
+        this.roomId = message.roomId;
+        this.mode = message.mode;
         this.config = message.config;
+        this.resumeToken = message.resumeToken;
+        if (message.resumed) {
+          console.log('Resumed session as player', this.playerId);
+        }
+        this.prediction.reset(message.config);
         this.drawBackground(); // Redraw background with correct map size
         if (this.playerName) {
           this.sendName(this.playerName);
@@ -352,24 +698,125 @@ export class GameClient {
       case 'pong':
         // Server responded to our ping
         if (message.timestamp) {
-          this.handlePong(message.timestamp);
+          this.handlePong(message.timestamp, message.serverTime);
         }
         break;
+      case 'serverShutdown':
+        this.showShutdownNotice(message.countdownMs, message.reason);
+        break;
+      case 'death':
+        this.showDeathScreen(message);
+        break;
+      case 'chatMessage':
+        this.chatListeners.forEach((listener) => listener(message));
+        break;
+      case 'partyState':
+        this.handlePartyState(message);
+        break;
     }
   }
 
-  handleSnapshot(snapshot) {
-    this.serverState = snapshot;
+  handleSnapshot(message) {
+    // Deltas are relative to a state we acknowledged earlier (or to nothing, for keyframes)
+    const baseline = message.baselineSeq === 0
+      ? createSnapshotState()
+      : this.snapshotStates.get(message.baselineSeq);
+    if (!baseline) {
+      // Lost our baseline - ask for a keyframe once and drop deltas until it arrives
+      if (!this.awaitingKeyframe) {
+        this.awaitingKeyframe = true;
+        this.send({ type: 'keyframeRequest' });
+      }
+      return;
+    }
+    if (message.baselineSeq === 0) {
+      this.awaitingKeyframe = false;
+    }
+
+    const state = applySnapshotDelta(baseline, message);
+    this.snapshotStates.set(state.seq, state);
+    this.snapshotStates.delete(state.seq - SNAPSHOT_HISTORY_SIZE);
+    this.send({ type: 'ack', seq: state.seq });
+    this.prediction.reconcile(message.inputSeq, message.movement);
+
+    this.currentState = state;
+    this.serverState = state;
     this.lastSnapshotTime = Date.now();
+    this.leaderboard = message.leaderboard || [];
+    this.playerCount = message.playerCount || 0;
+    this.handleGameEvents(message.events);
+    this.partyPositions = message.party || [];
+    this.spectateTarget = message.spectateTarget || 0;
+    if (this.isSpectating()) {
+      this.updateSpectateBar();
+    }
 
-    // Update game entities
-    this.updateEntities(snapshot);
+    // Game entities are updated from the buffer at render time (updateInterpolation)
+    this.clock.observeServerTime(state.timestamp);
+    this.snapshotBuffer.push(state);
   }
 
-  handlePong(timestamp) {
+  // Register a callback for every game event the server sends (see GameEvents in shared/Protocol.js)
+  onGameEvent(listener) {
+    this.gameEventListeners.push(listener);
+  }
+
+  onChatMessage(listener) {
+    this.chatListeners.push(listener);
+  }
+
+  onPartyState(listener) {
+    this.partyListeners.push(listener);
+  }
+
+  handlePartyState(message) {
+    this.party = message.code ? message : null;
+    this.partyKey = message.memberKey || null;
+    if (!this.party) {
+      this.partyPositions = [];
+      this.followedPartyRoom = null;
+    } else if (this.party.roomId !== this.roomId && this.party.roomId !== this.followedPartyRoom) {
+      // The leader is playing elsewhere - the server puts us in its room when we reconnect
+      console.log(`Following party to room ${this.party.roomId}`);
+      this.followedPartyRoom = this.party.roomId;
+      this.rejoin(this.party.roomId);
+    }
+    this.partyListeners.forEach((listener) => listener(this.party));
+  }
+
+  createParty() {
+    this.send({ type: 'party', action: 'create' });
+  }
+
+  joinParty(code) {
+    this.send({ type: 'party', action: 'join', code });
+  }
+
+  leaveParty() {
+    this.send({ type: 'party', action: 'leave' });
+  }
+
+  handleGameEvents(events) {
+    if (!events || events.length === 0) return;
+    const now = Date.now();
+    events.forEach((event) => {
+      if (event.type === 'merge') {
+        // The merged cell disappears once rendering catches up with this snapshot
+        this.mergedCells.set(event.mergedCellId, { cellId: event.cellId, time: now });
+      }
+      this.gameEventListeners.forEach((listener) => listener(event));
+    });
+    // Forget merges whose cells we never rendered (e.g. outside the view)
+    this.mergedCells.forEach((merge, cellId) => {
+      if (now - merge.time > 2000) this.mergedCells.delete(cellId);
+    });
+  }
+
+  handlePong(timestamp, serverTime) {
     // Calculate round-trip time
     const now = Date.now();
     const rtt = now - timestamp;
+    this.clock.addSample(timestamp, serverTime, now);
     
     // Only accept reasonable ping values (10ms - 500ms)
     if (rtt >= 10 && rtt <= 500) {
@@ -402,33 +849,132 @@ export class GameClient {
     this.isPlaying = isPlaying;
   }
 
-  sendName(name) {
+  send(message) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+    this.ws.send(encodeMessage(message));
+  }
+
+  sendViewport(force = false) {
+    // The server only sends entities inside our view, so report screen size and zoom
+    const width = this.app.screen.width;
+    const height = this.app.screen.height;
+    const last = this.lastSentViewport;
+    if (!force && last && last.width === width && last.height === height &&
+        Math.abs(this.zoom - last.zoom) < last.zoom * 0.05) {
+      return;
+    }
     if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
-    this.ws.send(JSON.stringify({
+    this.lastSentViewport = { width, height, zoom: this.zoom };
+    this.send({
+      type: 'viewport',
+      width,
+      height,
+      zoom: this.zoom
+    });
+  }
+
+  sendName(name) {
+    this.send({
       type: 'setName',
       name
-    }));
+    });
+  }
+
+  updateInterpolation() {
+    const renderTime = this.clock.serverNow() - this.interpolationDelay;
+    const sample = this.snapshotBuffer.sample(renderTime) ||
+      { from: this.currentState, to: this.currentState, alpha: 0 };
+    this.interpolation = sample;
+
+    // Entities appear and disappear on the delayed timeline too, except our own cells
+    if (sample.to === this.displayRemote && this.currentState === this.displayLocal) return;
+    this.displayRemote = sample.to;
+    this.displayLocal = this.currentState;
+
+    const previous = this.displayState;
+    this.displayState = this.composeDisplayState(sample.to, this.currentState);
+    this.updateEntities(previous, this.displayState);
+  }
+
+  composeDisplayState(remote, local) {
+    if (remote === local) return local;
+
+    // Everything from the delayed snapshot, except our own player and cells from the newest one
+    const players = new Map(remote.players);
+    players.delete(this.playerId);
+    const localPlayer = local.players.get(this.playerId);
+    if (localPlayer) {
+      players.set(this.playerId, localPlayer);
+    }
+
+    const cells = new Map();
+    remote.cells.forEach((cell, id) => {
+      if (cell.ownerId !== this.playerId) cells.set(id, cell);
+    });
+    local.cells.forEach((cell, id) => {
+      if (cell.ownerId === this.playerId) cells.set(id, cell);
+    });
+
+    return { ...remote, players, cells };
   }
 
-  updateEntities(snapshot) {
-    // Remove disconnected players first
-    const existingPlayerIds = new Set(snapshot.players.map(p => p.id));
+  // Position of a remote entity at the render time (falls back to its displayed data)
+  interpolatedPosition(table, id, fallback) {
+    const { from, to, alpha } = this.interpolation;
+    const start = from[table].get(id);
+    const end = to[table].get(id);
+    if (!start || !end) return fallback;
+    return {
+      x: start.x + (end.x - start.x) * alpha,
+      y: start.y + (end.y - start.y) * alpha
+    };
+  }
+
+  updateEntities(previous, state) {
+    // Only entities whose object changed between the two states need touching -
+    // applySnapshotDelta keeps the identity of everything that didn't change
+
+    // Group cells by owner and note which players had a cell change
+    const cellsByOwner = new Map();
+    const changedOwners = new Set();
+    state.cells.forEach((cell, id) => {
+      let cells = cellsByOwner.get(cell.ownerId);
+      if (!cells) {
+        cells = [];
+        cellsByOwner.set(cell.ownerId, cells);
+      }
+      cells.push(cell);
+      if (previous.cells.get(id) !== cell) {
+        changedOwners.add(cell.ownerId);
+      }
+    });
+    previous.cells.forEach((cell, id) => {
+      if (!state.cells.has(id)) {
+        changedOwners.add(cell.ownerId);
+      }
+    });
+
+    // Remove players that left (or left our view) first
     this.players.forEach((player, id) => {
-      if (!existingPlayerIds.has(id)) {
+      if (!state.players.has(id)) {
         this.removePlayerEntity(id);
       }
     });
 
     // Update players
-    snapshot.players.forEach((playerData) => {
-      if (!this.players.has(playerData.id)) {
+    state.players.forEach((playerInfo, id) => {
+      const unchanged = previous.players.get(id) === playerInfo && !changedOwners.has(id);
+      if (unchanged && this.players.has(id)) return;
+
+      const playerData = { ...playerInfo, cells: cellsByOwner.get(id) || [] };
+      if (!this.players.has(id)) {
         this.createPlayerEntity(playerData);
       }
       this.updatePlayerEntity(playerData);
     });
 
     // Update pellets
-    snapshot.pellets.forEach((pelletData) => {
+    this.forEachChanged(previous.pellets, state.pellets, (pelletData) => {
       if (!this.pellets.has(pelletData.id)) {
         this.createPelletEntity(pelletData);
       }
@@ -436,7 +982,7 @@ export class GameClient {
     });
 
     // Update viruses
-    snapshot.viruses.forEach((virusData) => {
+    this.forEachChanged(previous.viruses, state.viruses, (virusData) => {
       if (!this.viruses.has(virusData.id)) {
         this.createVirusEntity(virusData);
       }
@@ -444,7 +990,7 @@ export class GameClient {
     });
 
     // Update feed pellets
-    snapshot.feedPellets?.forEach((pelletData) => {
+    this.forEachChanged(previous.feedPellets, state.feedPellets, (pelletData) => {
       if (!this.feedPellets.has(pelletData.id)) {
         this.createFeedPelletEntity(pelletData);
       }
@@ -452,7 +998,7 @@ export class GameClient {
     });
 
     // Update virus projectiles
-    snapshot.virusProjectiles?.forEach((projectileData) => {
+    this.forEachChanged(previous.virusProjectiles, state.virusProjectiles, (projectileData) => {
       if (!this.virusProjectiles.has(projectileData.id)) {
         this.createVirusProjectileEntity(projectileData);
       }
@@ -460,20 +1006,33 @@ export class GameClient {
     });
 
     // Remove old entities
-    this.cleanupEntities(snapshot);
+    this.cleanupEntities(previous, state);
+  }
+
+  forEachChanged(previous, current, callback) {
+    current.forEach((entity, id) => {
+      if (previous.get(id) !== entity) {
+        callback(entity);
+      }
+    });
+  }
+
+  forEachRemoved(previous, current, callback) {
+    previous.forEach((entity, id) => {
+      if (!current.has(id)) {
+        callback(id);
+      }
+    });
   }
 
   createPlayerEntity(playerData) {
+    // Cell graphics are created by updatePlayerEntity as cells appear
     const container = new PIXI.Container();
-    const isLocal = playerData.id === this.playerId;
-    playerData.cells.forEach((cellData) => {
-      const cell = this.createCellGraphics(cellData, isLocal, playerData.name, playerData.color);
-      container.addChild(cell);
-    });
     this.gameLayer.addChild(container);
     this.players.set(playerData.id, { 
       data: playerData, 
       container,
+      cellGraphics: new Map(), // cellId -> cell container
       mergeAnimations: [] // Initialize merge animations array
     });
   }
@@ -482,8 +1041,9 @@ export class GameClient {
     const player = this.players.get(playerData.id);
     if (!player) return;
 
-    const previousCellCount = player.data.cells ? player.data.cells.length : 0;
+    const previousData = player.data;
     player.data = playerData;
+    const appearanceChanged = previousData.name !== playerData.name || previousData.color !== playerData.color;
 
     // Get existing cell IDs to track what was removed
     const existingCellIds = new Set();
@@ -493,58 +1053,51 @@ export class GameClient {
     
     // IMMEDIATELY remove cells that are not in new data (eaten or merged)
     // This ensures eaten cells disappear instantly from UI
-    for (let i = player.container.children.length - 1; i >= 0; i--) {
-      const cellGraphics = player.container.children[i];
+    player.cellGraphics.forEach((cellGraphics, cellId) => {
+      if (existingCellIds.has(cellId)) return;
+      player.cellGraphics.delete(cellId);
       const cellData = cellGraphics.children[0]?.cellData;
+
+      // Cell was eaten or merged - the server's merge event tells us which, and into what
+      const merge = this.mergedCells.get(cellId);
+      this.mergedCells.delete(cellId);
+      const targetCellData = merge ? playerData.cells.find((cell) => cell.id === merge.cellId) : null;
       
-      if (!cellData || !existingCellIds.has(cellData.id)) {
-        // Cell was eaten or merged - remove immediately
-        // Only animate merge if it's a merge (not an eat)
-        const isMerge = playerData.cells.length > 0 && 
-                       playerData.cells.some(c => c.mass > (cellData?.mass || 0) * 1.5);
-        
-        if (isMerge && playerData.cells.length > 0) {
-          // It's a merge - animate it
-          let targetCellData = playerData.cells.reduce((largest, cell) => 
-            cell.mass > largest.mass ? cell : largest, playerData.cells[0]);
+      if (targetCellData) {
+        // It's a merge - animate it
+        if (!cellGraphics.mergeAnimation) {
+          cellGraphics.mergeAnimation = {
+            startTime: Date.now(),
+            startScale: cellGraphics.scale.x,
+            startAlpha: cellGraphics.alpha,
+            startX: cellGraphics.x,
+            startY: cellGraphics.y,
+            targetCell: targetCellData,
+            startMass: cellData?.mass || 0
+          };
+          cellGraphics.cellData = cellData;
+          cellGraphics.wasMerging = true; // Mark as merging to prevent interpolation shake
           
-          if (!cellGraphics.mergeAnimation && targetCellData) {
-            cellGraphics.mergeAnimation = {
-              startTime: Date.now(),
-              startScale: cellGraphics.scale.x,
-              startAlpha: cellGraphics.alpha,
-              startX: cellGraphics.x,
-              startY: cellGraphics.y,
-              targetCell: targetCellData,
-              startMass: cellData?.mass || 0
-            };
-            cellGraphics.cellData = cellData;
-            cellGraphics.wasMerging = true; // Mark as merging to prevent interpolation shake
-            
-            // Store for animation
-            if (!player.mergeAnimations) player.mergeAnimations = [];
-            if (!player.mergeAnimations.includes(cellGraphics)) {
-              player.mergeAnimations.push(cellGraphics);
-            }
-          }
-          // Don't remove yet - keep for merge animation
-        } else {
-          // It's an eat - remove immediately (no animation)
-          if (cellGraphics.parent) {
-            cellGraphics.parent.removeChild(cellGraphics);
+          // Store for animation
+          if (!player.mergeAnimations.includes(cellGraphics)) {
+            player.mergeAnimations.push(cellGraphics);
           }
-          cellGraphics.destroy();
         }
+        // Don't remove yet - keep for merge animation
+      } else {
+        // It's an eat - remove immediately (no animation)
+        if (cellGraphics.parent) {
+          cellGraphics.parent.removeChild(cellGraphics);
+        }
+        cellGraphics.destroy({ children: true });
       }
-    }
+    });
 
-    // Update cells with smooth transitions
-    const existingCells = player.container.children;
+    // Update cells with smooth transitions - only redraw cells whose data changed
     const isLocal = playerData.id === this.playerId;
-    playerData.cells.forEach((cellData, index) => {
-      let cellGraphics;
-      const isNewCell = index >= existingCells.length;
-      if (isNewCell) {
+    playerData.cells.forEach((cellData) => {
+      let cellGraphics = player.cellGraphics.get(cellData.id);
+      if (!cellGraphics) {
         // New cell created (split) - NO SHAKE: start at full scale
         cellGraphics = this.createCellGraphics(cellData, isLocal, playerData.name, playerData.color);
         // Set initial position immediately to prevent interpolation from wrong position
@@ -554,8 +1107,9 @@ export class GameClient {
         cellGraphics.alpha = 1.0; // Start fully visible
         // No animation timer - cells appear instantly without shake
         player.container.addChild(cellGraphics);
-      } else {
-        cellGraphics = existingCells[index];
+        player.cellGraphics.set(cellData.id, cellGraphics);
+      } else if (cellGraphics.children[0].cellData === cellData && !appearanceChanged) {
+        return;
       }
       this.updateCellGraphics(cellGraphics, cellData, isLocal, playerData.name, playerData.color);
     });
@@ -783,7 +1337,7 @@ export class GameClient {
     graphics.x = pelletData.x;
     graphics.y = pelletData.y;
     
-    const color = this.hexToNumber(pelletData.color || '#ffffff');
+    const color = this.pelletColor(pelletData);
     graphics.beginFill(color, 1.0);
     graphics.drawCircle(0, 0, radius);
     graphics.endFill();
@@ -801,12 +1355,18 @@ export class GameClient {
     const radius = this.massToRadius(pelletData.mass);
     graphics.clear();
     
-    const color = this.hexToNumber(pelletData.color || '#ffffff');
+    const color = this.pelletColor(pelletData);
     graphics.beginFill(color, 1.0);
     graphics.drawCircle(0, 0, radius);
     graphics.endFill();
   }
 
+  pelletColor(pelletData) {
+    // Pellets are sent as a hue only - saturation/lightness match server Pellet colors
+    if (pelletData.hue === undefined) return 0xffffff;
+    return this.hslToHex(pelletData.hue / 360, 0.7, 0.5);
+  }
+
   createVirusEntity(virusData) {
     const radius = this.massToRadius(virusData.mass);
     const graphics = new PIXI.Graphics();
@@ -962,48 +1522,43 @@ export class GameClient {
     const player = this.players.get(playerId);
     if (player) {
       this.gameLayer.removeChild(player.container);
+      player.container.destroy({ children: true });
       this.players.delete(playerId);
     }
   }
 
-  cleanupEntities(snapshot) {
-    // Remove pellets not in snapshot
-    const pelletIds = new Set(snapshot.pellets.map(p => p.id));
-    this.pellets.forEach((graphics, id) => {
-      if (!pelletIds.has(id)) {
-        this.pelletsLayer.removeChild(graphics);
-        this.pellets.delete(id);
-      }
+  cleanupEntities(previous, state) {
+    // Remove pellets that left the snapshot
+    this.forEachRemoved(previous.pellets, state.pellets, (id) => {
+      this.removeEntityGraphics(this.pellets, id);
     });
 
-    // Remove viruses not in snapshot
-    const virusIds = new Set(snapshot.viruses.map(v => v.id));
-    this.viruses.forEach((graphics, id) => {
-      if (!virusIds.has(id)) {
-        this.gameLayer.removeChild(graphics);
-        this.viruses.delete(id);
-      }
+    // Remove viruses that left the snapshot
+    this.forEachRemoved(previous.viruses, state.viruses, (id) => {
+      this.removeEntityGraphics(this.viruses, id);
     });
 
-    // Remove feed pellets not in snapshot
-    const feedPelletIds = new Set((snapshot.feedPellets || []).map(p => p.id));
-    this.feedPellets.forEach((graphics, id) => {
-      if (!feedPelletIds.has(id)) {
-        this.pelletsLayer.removeChild(graphics);
-        this.feedPellets.delete(id);
-      }
+    // Remove feed pellets that left the snapshot
+    this.forEachRemoved(previous.feedPellets, state.feedPellets, (id) => {
+      this.removeEntityGraphics(this.feedPellets, id);
     });
 
-    // Remove virus projectiles not in snapshot
-    const projectileIds = new Set((snapshot.virusProjectiles || []).map(p => p.id));
-    this.virusProjectiles.forEach((graphics, id) => {
-      if (!projectileIds.has(id)) {
-        this.gameLayer.removeChild(graphics);
-        this.virusProjectiles.delete(id);
-      }
+    // Remove virus projectiles that left the snapshot
+    this.forEachRemoved(previous.virusProjectiles, state.virusProjectiles, (id) => {
+      this.removeEntityGraphics(this.virusProjectiles, id);
     });
   }
 
+  removeEntityGraphics(entities, id) {
+    const graphics = entities.get(id);
+    if (!graphics) return;
+    if (graphics.parent) {
+      graphics.parent.removeChild(graphics);
+    }
+    graphics.destroy();
+    entities.delete(id);
+  }
+
   massToRadius(mass) {
     // Match server radius calculation - faster scaling for larger cells
     const baseRadius = Math.sqrt(mass / Math.PI);
@@ -1051,58 +1606,86 @@ export class GameClient {
   }
 
   startInputLoop() {
-    setInterval(() => {
+    if (this.inputLoop) {
+      clearInterval(this.inputLoop);
+    }
+    this.inputLoop = setInterval(() => {
       this.sendInput();
     }, this.inputRate);
   }
 
+  // Center of our cells, at their predicted positions where we have them
+  getLocalCenter() {
+    const localPlayer = this.players.get(this.playerId);
+    if (!localPlayer || localPlayer.data.cells.length === 0) return null;
+
+    let sumX = 0;
+    let sumY = 0;
+    localPlayer.data.cells.forEach((cell) => {
+      const predicted = this.prediction.getCell(cell.id) || cell;
+      sumX += predicted.x;
+      sumY += predicted.y;
+    });
+    return {
+      x: sumX / localPlayer.data.cells.length,
+      y: sumY / localPlayer.data.cells.length
+    };
+  }
+
   sendInput() {
     if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
-    if (!this.playerId) return;
     if (!this.isPlaying) return;
+    if (this.isSpectating()) {
+      this.updateFreeCamera();
+      return;
+    }
+    if (!this.playerId) return;
 
-    // Calculate direction to mouse
-    const localPlayer = this.players.get(this.playerId);
-    if (!localPlayer || localPlayer.data.cells.length === 0) {
+    const center = this.getLocalCenter();
+    if (!center) {
       this.inputDirX = 0;
       this.inputDirY = 0;
-    } else {
-      // Get player center
-      const centerX = localPlayer.data.cells.reduce((sum, cell) => sum + cell.x, 0) / localPlayer.data.cells.length;
-      const centerY = localPlayer.data.cells.reduce((sum, cell) => sum + cell.y, 0) / localPlayer.data.cells.length;
-      
-      // Convert screen coordinates to world coordinates (accounting for zoom)
-      const worldMouseX = (this.mouseX - this.app.screen.width / 2) / this.zoom + centerX;
-      const worldMouseY = (this.mouseY - this.app.screen.height / 2) / this.zoom + centerY;
-      
-      const dx = worldMouseX - centerX;
-      const dy = worldMouseY - centerY;
-      const dist = Math.sqrt(dx * dx + dy * dy);
-      
-      this.inputDirX = dist > 0 ? dx / dist : 0;
-      this.inputDirY = dist > 0 ? dy / dist : 0;
+      return;
     }
 
-    // Convert screen mouse to world coordinates for cursor (accounting for zoom)
-    let worldCursorX = 0;
-    let worldCursorY = 0;
-    const localPlayerForCursor = this.players.get(this.playerId);
-    if (localPlayerForCursor && localPlayerForCursor.data.cells.length > 0) {
-      const centerX = localPlayerForCursor.data.cells.reduce((sum, cell) => sum + cell.x, 0) / localPlayerForCursor.data.cells.length;
-      const centerY = localPlayerForCursor.data.cells.reduce((sum, cell) => sum + cell.y, 0) / localPlayerForCursor.data.cells.length;
-      worldCursorX = (this.mouseX - this.app.screen.width / 2) / this.zoom + centerX;
-      worldCursorY = (this.mouseY - this.app.screen.height / 2) / this.zoom + centerY;
-
-      this.ws.send(JSON.stringify({
-        type: 'input',
-        input: {
-          dirX: this.inputDirX,
-          dirY: this.inputDirY,
-          cursorX: worldCursorX,
-          cursorY: worldCursorY
-        }
-      }));
-    }
+    // Convert screen mouse to world coordinates (accounting for zoom)
+    const worldCursorX = (this.mouseX - this.app.screen.width / 2) / this.zoom + center.x;
+    const worldCursorY = (this.mouseY - this.app.screen.height / 2) / this.zoom + center.y;
+
+    // Direction from player center to mouse
+    const dx = worldCursorX - center.x;
+    const dy = worldCursorY - center.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    this.inputDirX = dist > 0 ? dx / dist : 0;
+    this.inputDirY = dist > 0 ? dy / dist : 0;
+
+    // Predict with exactly what the server will decode
+    const input = quantizeInput({
+      dirX: this.inputDirX,
+      dirY: this.inputDirY,
+      cursorX: worldCursorX,
+      cursorY: worldCursorY
+    });
+    const seq = this.prediction.applyInput(input);
+    this.send({ type: 'input', seq, input });
+  }
+
+  // Where the camera points: our own cells, the player we spectate, or the free-roam position
+  getCameraCenter(cameraPlayer) {
+    if (this.spectateMode === 'free' && this.freeCamera) return this.freeCamera;
+    if (!this.spectateTarget) return this.getLocalCenter();
+    if (!cameraPlayer || cameraPlayer.data.cells.length === 0) return null;
+
+    let sumX = 0;
+    let sumY = 0;
+    cameraPlayer.data.cells.forEach((cell) => {
+      sumX += cell.x;
+      sumY += cell.y;
+    });
+    return {
+      x: sumX / cameraPlayer.data.cells.length,
+      y: sumY / cameraPlayer.data.cells.length
+    };
   }
 
   sendAction(actionType) {
@@ -1110,38 +1693,49 @@ export class GameClient {
     if (!this.playerId) return;
     if (!this.isPlaying) return;
 
-    this.ws.send(JSON.stringify({
+    this.send({
       type: 'action',
       action: {
         type: actionType
       }
-    }));
+    });
+  }
+
+  // Channel is 'global' or 'party'; messages starting with '/' are commands
+  sendChat(channel, message) {
+    this.send({ type: 'chat', channel, message });
   }
 
   startPingLoop() {
+    // One loop across reconnects - the server rate-limits pings
+    if (this.pingLoop) {
+      clearInterval(this.pingLoop);
+    }
     // Send ping every second
-    setInterval(() => {
+    this.pingLoop = setInterval(() => {
       if (this.ws && this.ws.readyState === WebSocket.OPEN) {
         const timestamp = Date.now();
-        this.ws.send(JSON.stringify({
+        this.send({
           type: 'ping',
           timestamp: timestamp
-        }));
+        });
       }
     }, 1000);
   }
 
   render(delta = 1) {
     if (!this.serverState) return;
+    this.updateInterpolation();
     
     // Frame-rate independent interpolation factor (normalize to 60fps)
     const deltaNormalized = Math.min(delta / 1.0, 2.0); // Cap at 2x for stability
 
-    // Calculate camera position (follow local player) - smooth transition to prevent glitching
-    const localPlayer = this.players.get(this.playerId);
-    if (localPlayer && localPlayer.data.cells.length > 0) {
-      const newCenterX = localPlayer.data.cells.reduce((sum, cell) => sum + cell.x, 0) / localPlayer.data.cells.length;
-      const newCenterY = localPlayer.data.cells.reduce((sum, cell) => sum + cell.y, 0) / localPlayer.data.cells.length;
+    // Calculate camera position (follow local player, or whoever we spectate) - smooth transition to prevent glitching
+    const cameraPlayer = this.players.get(this.spectateTarget || this.playerId);
+    const localCenter = this.getCameraCenter(cameraPlayer);
+    if (localCenter) {
+      const newCenterX = localCenter.x;
+      const newCenterY = localCenter.y;
       
       // Smooth camera position to prevent teleporting during auto-split
       if (!this.lastCameraX) {
@@ -1157,16 +1751,17 @@ export class GameClient {
       this.lastCameraX = centerX;
       this.lastCameraY = centerY;
 
-      // Calculate zoom based on largest cell size
-      const largestCell = localPlayer.data.cells.reduce((largest, cell) => 
-        cell.mass > largest.mass ? cell : largest, localPlayer.data.cells[0]);
+      // Calculate zoom based on largest cell size (free-roaming spectators zoom as if following a mid-sized cell)
+      const cameraCells = cameraPlayer ? cameraPlayer.data.cells : [];
+      const largestCell = cameraCells.reduce((largest, cell) => 
+        cell.mass > largest.mass ? cell : largest, cameraCells[0] || { mass: 1000 });
       // Match server radius calculation with faster scaling
       const baseRadius = Math.sqrt(largestCell.mass / Math.PI);
       const scaleFactor = 3.5 + Math.min(largestCell.mass / 5000, 2.0);
       const cellRadius = baseRadius * scaleFactor;
       
       // Detect auto-split: if cell count increased and largest mass decreased significantly
-      const currentCellCount = localPlayer.data.cells.length;
+      const currentCellCount = cameraCells.length;
       const detectedAutoSplit = (currentCellCount > this.previousCellCount) && 
                                 (this.previousLargestMass > 0) && 
                                 (largestCell.mass < this.previousLargestMass * 0.6); // Mass dropped by 40%+
@@ -1216,6 +1811,7 @@ export class GameClient {
       const isTransitioning = timeSinceTransition < 500; // 500ms transition period
       const zoomSpeed = isTransitioning ? 0.05 : 0.12; // Much slower during transition
       this.zoom += (this.targetZoom - this.zoom) * zoomSpeed;
+      this.sendViewport();
 
       // Apply camera offset with zoom
       const offsetX = (this.app.screen.width / 2) / this.zoom - centerX;
@@ -1272,8 +1868,8 @@ export class GameClient {
       const isLocal = playerId === this.playerId;
       if (!isLocal) return; // Only show debug for local player
       
-      player.data.cells.forEach((cellData, index) => {
-        const cellGraphics = player.container.children[index];
+      player.data.cells.forEach((cellData) => {
+        const cellGraphics = player.cellGraphics.get(cellData.id);
         if (!cellGraphics) return;
         
         const radius = this.massToRadius(cellData.mass);
@@ -1373,6 +1969,47 @@ export class GameClient {
   toggleDebugMode() {
     this.debugMode = !this.debugMode;
     console.log('Debug mode:', this.debugMode ? 'ON' : 'OFF');
+
+    // Server timings are polled only while the panel is visible
+    clearInterval(this.serverPerfTimer);
+    this.serverPerfTimer = null;
+    if (!this.serverPanel) return;
+    this.serverPanel.style.display = this.debugMode ? 'block' : 'none';
+    if (this.debugMode) {
+      this.updateServerPanel();
+      this.serverPerfTimer = setInterval(() => this.updateServerPanel(), 1000);
+    }
+  }
+
+  updateServerPanel() {
+    // /debug/perf only answers on loopback, so this works against a local server
+    fetch(`${this.getServerUrl('http')}/debug/perf`)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then((rooms) => {
+        if (!this.debugMode) return;
+        const room = rooms.find((info) => info.id === this.roomId);
+        this.serverPanel.textContent = room ? this.formatServerPerf(room) : `Room ${this.roomId} not found`;
+      })
+      .catch(() => {
+        if (!this.debugMode) return;
+        this.serverPanel.textContent = 'Server stats unavailable';
+      });
+  }
+
+  formatServerPerf(room) {
+    const ms = (value) => value.toFixed(2).padStart(7);
+    const lines = [
+      `Server ${room.id} - tick ${room.tick}, budget ${room.budgetMs.toFixed(1)}ms`,
+      `Players ${room.players}, cells ${room.entities.cells}, dropped ${Math.round(room.droppedMs)}ms`,
+      `${'phase'.padEnd(18)}${'mean'.padStart(7)}${'p95'.padStart(7)}${'p99'.padStart(7)}`
+    ];
+    Object.entries(room.phases).forEach(([phase, stats]) => {
+      lines.push(`${phase.padEnd(18)}${ms(stats.mean)}${ms(stats.p95)}${ms(stats.p99)}`);
+    });
+    return lines.join('\n');
   }
 
   renderMinimap() {
@@ -1431,7 +2068,9 @@ export class GameClient {
     // No border - removed green border
 
     // Draw players ONLY - NO BOTS on minimap (minimap is for you and your team/party)
-    const players = (this.serverState.players || []).filter(p => !p.isBot);
+    const players = Array.from(this.players.values())
+      .map(p => p.data)
+      .filter(p => !p.isBot);
     players.forEach((player) => {
       const isLocal = player.id === this.playerId;
       player.cells.forEach((cell) => {
@@ -1448,6 +2087,15 @@ export class GameClient {
     });
 
     ctx.globalAlpha = 1;
+
+    // Party members, wherever they are (the server sends their positions with every snapshot)
+    ctx.strokeStyle = '#ffcc00';
+    ctx.lineWidth = 2;
+    this.partyPositions.forEach((member) => {
+      ctx.beginPath();
+      ctx.arc((member.x / mapWidth) * size, (member.y / mapHeight) * size, 5, 0, Math.PI * 2);
+      ctx.stroke();
+    });
   }
 
   renderPlayers(deltaNormalized = 1.0) {
@@ -1467,12 +2115,14 @@ export class GameClient {
         }
       }
       
-      player.data.cells.forEach((cellData, index) => {
-        const cellGraphics = player.container.children[index];
+      player.data.cells.forEach((cellData) => {
+        const cellGraphics = player.cellGraphics.get(cellData.id);
         if (cellGraphics) {
           // Ultra-smooth position interpolation with better easing
-          const targetX = cellData.x;
-          const targetY = cellData.y;
+          // Our own cells move toward their predicted position instead of the last snapshot
+          const predicted = isLocal ? this.prediction.getCell(cellData.id) : null;
+          const targetX = predicted ? predicted.x : cellData.x;
+          const targetY = predicted ? predicted.y : cellData.y;
           
           const dx = targetX - cellGraphics.x;
           const dy = targetY - cellGraphics.y;
@@ -1496,8 +2146,13 @@ export class GameClient {
           // Track merge state
           cellGraphics.wasMerging = isMerging;
           
-          // If just merged or large position change, snap immediately (NO INTERPOLATION)
-          if (justMerged || largePositionChange) {
+          if (!isLocal) {
+            // Remote cells: interpolated between the buffered snapshots around the render time
+            const position = this.interpolatedPosition('cells', cellData.id, cellData);
+            cellGraphics.x = position.x;
+            cellGraphics.y = position.y;
+          } else if (justMerged || largePositionChange) {
+            // If just merged or large position change, snap immediately (NO INTERPOLATION)
             cellGraphics.x = targetX;
             cellGraphics.y = targetY;
             // Clear any interpolation state
@@ -1511,8 +2166,8 @@ export class GameClient {
               // Recently split cells: much smoother interpolation with easing
               alpha = 0.08; // Much slower interpolation for smoother, less direct travel
             } else {
-              // Normal cells: faster interpolation for responsive movement
-              alpha = isLocal ? 0.85 : 0.65;
+              // Normal cells: fast follow of the predicted position for responsive movement
+              alpha = 0.85;
             }
             const frameAlpha = 1 - Math.pow(1 - alpha, deltaNormalized);
             
@@ -1564,10 +2219,9 @@ export class GameClient {
   renderViruses() {
     this.viruses.forEach((graphics, id) => {
       if (graphics.virusData) {
-        // Smooth interpolation for viruses
-        const alpha = 0.25;
-        graphics.x += (graphics.virusData.x - graphics.x) * alpha;
-        graphics.y += (graphics.virusData.y - graphics.y) * alpha;
+        const position = this.interpolatedPosition('viruses', id, graphics.virusData);
+        graphics.x = position.x;
+        graphics.y = position.y;
       }
     });
   }
@@ -1576,8 +2230,9 @@ export class GameClient {
     const time = Date.now() * 0.001; // Time in seconds for animation
     this.feedPellets.forEach((graphics, id) => {
       if (graphics.pelletData) {
-        graphics.x = graphics.pelletData.x;
-        graphics.y = graphics.pelletData.y;
+        const position = this.interpolatedPosition('feedPellets', id, graphics.pelletData);
+        graphics.x = position.x;
+        graphics.y = position.y;
         
         // Pulsing animation for feed pellets
         if (graphics.baseRadius) {
@@ -1592,17 +2247,16 @@ export class GameClient {
   renderVirusProjectiles() {
     this.virusProjectiles.forEach((graphics, id) => {
       if (graphics.projectileData) {
-        graphics.x = graphics.projectileData.x;
-        graphics.y = graphics.projectileData.y;
+        const position = this.interpolatedPosition('virusProjectiles', id, graphics.projectileData);
+        graphics.x = position.x;
+        graphics.y = position.y;
       }
     });
   }
 
   updateLeaderboard() {
-    const players = Array.from(this.players.values())
-      .map(p => ({ name: p.data.name, score: p.data.score }))
-      .sort((a, b) => b.score - a.score)
-      .slice(0, 10);
+    // Server sends the top 10 of the whole world - this.players only holds visible players
+    const players = this.leaderboard;
 
     const list = document.getElementById('leaderboardList');
     list.innerHTML = '';
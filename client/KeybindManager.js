@@ -13,6 +13,7 @@ export class KeybindManager {
     };
 
     this.keybinds = { ...this.defaultKeybinds };
+    this.onChange = null; // Called with the keybinds after the player rebinds a key
     this.loadKeybinds();
   }
 
@@ -31,6 +32,12 @@ export class KeybindManager {
     localStorage.setItem('keybinds', JSON.stringify(this.keybinds));
   }
 
+  // Keybinds saved elsewhere (the player's account) replace the local ones
+  applyKeybinds(keybinds) {
+    this.keybinds = { ...this.defaultKeybinds, ...keybinds };
+    this.saveKeybinds();
+  }
+
   getKeyCode(keybindName) {
     return this.keybinds[keybindName] || this.defaultKeybinds[keybindName];
   }
@@ -38,6 +45,7 @@ export class KeybindManager {
   setKeybind(keybindName, keyCode) {
     this.keybinds[keybindName] = keyCode;
     this.saveKeybinds();
+    this.onChange?.(this.keybinds);
   }
 
   isPressed(keybindName, event) {
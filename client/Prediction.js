@@ -0,0 +1,70 @@
+import {
+  TICK_MS,
+  updatePlayerMovement,
+  resolveCellOverlap,
+  restoreMovementState
+} from '../shared/Movement.js';
+
+// Inputs the server hasn't acknowledged yet - more than this means we're badly lagged
+const MAX_PENDING_INPUTS = 120;
+
+/**
+ * Client-side prediction of the local player's cells.
+ * Every input is simulated immediately with the shared movement model; when a
+ * snapshot arrives, the predicted cells are reset to the server's state and
+ * the inputs it hasn't processed yet are replayed on top.
+ */
+export class Prediction {
+  constructor() {
+    this.config = null;
+    this.cells = new Map(); // cellId -> predicted cell
+    this.pendingInputs = []; // {seq, input}
+    this.nextSeq = 1;
+    this.now = 0; // Local simulation time, advanced one tick per input
+  }
+
+  reset(config) {
+    this.config = config;
+    this.cells.clear();
+    this.pendingInputs = [];
+    this.nextSeq = 1; // Server-side sequence numbers restart per connection
+    this.now = 0;
+  }
+
+  // Simulate one tick with this input and remember it until the server acknowledges it
+  applyInput(input) {
+    const seq = this.nextSeq++;
+    this.pendingInputs.push({ seq, input });
+    if (this.pendingInputs.length > MAX_PENDING_INPUTS) {
+      this.pendingInputs.shift();
+    }
+    this.step(input);
+    return seq;
+  }
+
+  reconcile(inputSeq, movement) {
+    this.pendingInputs = this.pendingInputs.filter((pending) => pending.seq > inputSeq);
+
+    // Start from the authoritative state and replay what the server hasn't seen yet
+    this.now = Date.now();
+    this.cells.clear();
+    movement.forEach((cellMovement) => {
+      this.cells.set(cellMovement.id, restoreMovementState(cellMovement, this.now));
+    });
+    this.pendingInputs.forEach((pending) => {
+      this.step(pending.input);
+    });
+  }
+
+  step(input) {
+    if (!this.config || this.cells.size === 0) return;
+    this.now += TICK_MS;
+    const cells = Array.from(this.cells.values());
+    updatePlayerMovement(cells, input, this.config, this.now);
+    resolveCellOverlap(cells, this.now);
+  }
+
+  getCell(cellId) {
+    return this.cells.get(cellId);
+  }
+}
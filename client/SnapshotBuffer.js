@@ -0,0 +1,59 @@
+// How much history to keep (server time, ms)
+const BUFFER_DURATION_MS = 1000;
+// How far past the newest snapshot we keep moving entities when packets are late
+const MAX_EXTRAPOLATION_MS = 100;
+
+/**
+ * Reconstructed snapshot states ordered by server timestamp. Remote entities
+ * are rendered in the past, between the two snapshots around the render time.
+ */
+export class SnapshotBuffer {
+  constructor() {
+    this.snapshots = [];
+  }
+
+  clear() {
+    this.snapshots = [];
+  }
+
+  push(state) {
+    const newest = this.snapshots[this.snapshots.length - 1];
+    if (newest && state.timestamp <= newest.timestamp) return; // Stale or duplicate
+    this.snapshots.push(state);
+
+    // Drop old history, but always keep two snapshots to interpolate between
+    const cutoff = state.timestamp - BUFFER_DURATION_MS;
+    while (this.snapshots.length > 2 && this.snapshots[0].timestamp < cutoff) {
+      this.snapshots.shift();
+    }
+  }
+
+  /**
+   * The snapshots around renderTime and how far between them it is.
+   * alpha > 1 means bounded extrapolation past the newest snapshot.
+   */
+  sample(renderTime) {
+    const snapshots = this.snapshots;
+    if (snapshots.length === 0) return null;
+
+    const newest = snapshots[snapshots.length - 1];
+    if (renderTime >= newest.timestamp) {
+      // Late packets: keep going along the last known motion, but not too far
+      if (snapshots.length < 2) return { from: newest, to: newest, alpha: 0 };
+      const from = snapshots[snapshots.length - 2];
+      const time = Math.min(renderTime, newest.timestamp + MAX_EXTRAPOLATION_MS);
+      return { from, to: newest, alpha: (time - from.timestamp) / (newest.timestamp - from.timestamp) };
+    }
+
+    for (let i = snapshots.length - 1; i > 0; i--) {
+      const from = snapshots[i - 1];
+      if (from.timestamp <= renderTime) {
+        const to = snapshots[i];
+        return { from, to, alpha: (renderTime - from.timestamp) / (to.timestamp - from.timestamp) };
+      }
+    }
+
+    // Render time is older than anything we have
+    return { from: snapshots[0], to: snapshots[0], alpha: 0 };
+  }
+}
@@ -1,6 +1,7 @@
 // Import game modules
 import { GameClient } from './GameClient.js';
 import { KeybindManager } from './KeybindManager.js';
+import { AccountClient } from './AccountClient.js';
 
 // PIXI.js is loaded via script tag in HTML
 
@@ -11,6 +12,7 @@ keybindManager.loadKeybinds();
 // Initialize game client
 const canvas = document.getElementById('gameCanvas');
 const gameClient = new GameClient(canvas, keybindManager);
+const accountClient = new AccountClient(gameClient);
 
 // Home/play screen elements
 const homeScreen = document.getElementById('homeScreen');
@@ -37,13 +39,23 @@ playerNameInput.addEventListener('input', (e) => {
 
 function startPlaying() {
   const chosenName = playerNameInput.value.trim() || 'Player';
-  localStorage.setItem('playerName', chosenName);
+  if (!accountClient.account) {
+    // The guest name, restored after logging out
+    localStorage.setItem('playerName', chosenName);
+  }
   gameClient.setPlayerName(chosenName);
   if (homePlayerName) {
     homePlayerName.textContent = chosenName;
   }
   gameClient.setPlaying(true);
   homeScreen.classList.add('hidden');
+  if (gameClient.spectator) {
+    // Back from spectating: rejoin with a player of our own
+    gameClient.stopSpectating();
+  } else if (gameClient.isDead) {
+    // Coming back from the death screen's Menu button
+    gameClient.respawn();
+  }
 }
 
 playBtn.addEventListener('click', startPlaying);
@@ -80,9 +92,14 @@ if (homeThemeToggle) {
   homeThemeToggle.addEventListener('click', () => {
     isDarkMode = !isDarkMode;
     updateTheme();
+    accountClient.saveSettings({ theme: isDarkMode ? 'dark' : 'light' });
   });
 }
 
+keybindManager.onChange = (keybinds) => {
+  accountClient.saveSettings({ keybinds });
+};
+
 // Setup settings modal
 const settingsModal = document.getElementById('settingsModal');
 const closeSettings = document.getElementById('closeSettings');
@@ -96,12 +113,30 @@ homeSettings.addEventListener('click', () => {
   keybindManager.renderKeybinds();
 });
 
+// Death screen: respawn right away, or go back to the menu (Play respawns from there)
+document.getElementById('respawnBtn').addEventListener('click', () => {
+  gameClient.respawn();
+});
+document.getElementById('deathSpectateBtn').addEventListener('click', () => {
+  gameClient.spectateKiller();
+});
+document.getElementById('deathMenuBtn').addEventListener('click', () => {
+  gameClient.hideDeathScreen();
+  gameClient.setPlaying(false);
+  homeScreen.classList.remove('hidden');
+  // Pick up the stats and rankings from the life that just ended
+  accountClient.load();
+  updateLeaderboards();
+});
+
 // ESC key to pause/go home
 document.addEventListener('keydown', (e) => {
   if (e.key === 'Escape' && gameClient.isPlaying) {
     // Pause game - show home screen but don't disconnect
     gameClient.setPlaying(false);
     homeScreen.classList.remove('hidden');
+    accountClient.load();
+    updateLeaderboards();
   }
 });
 
@@ -112,7 +147,7 @@ function updateHomeStats() {
   const homeFPS = document.getElementById('homeFPS');
   
   if (homePlayers) {
-    const playerCount = gameClient.players ? gameClient.players.size : 0;
+    const playerCount = gameClient.playerCount || 0;
     homePlayers.textContent = playerCount;
   }
   
@@ -160,11 +195,11 @@ chatTabs.forEach(tab => {
   });
 });
 
-function addChatMessage(username, message, channel = currentChannel) {
+function addChatMessage(username, message, channel = currentChannel, className = '') {
   const messagesContainer = channel === 'global' ? chatMessagesGlobal : chatMessagesParty;
   
   const messageDiv = document.createElement('div');
-  messageDiv.className = 'chat-message';
+  messageDiv.className = `chat-message ${className}`;
   
   const usernameSpan = document.createElement('span');
   usernameSpan.className = 'chat-username';
@@ -193,15 +228,25 @@ function sendChatMessage() {
   const message = chatInput.value.trim();
   if (!message) return;
   
-  const playerName = gameClient.playerName || 'Player';
-  // For now, just display locally (no server integration yet)
-  addChatMessage(playerName, message, currentChannel);
+  // Shown once the server echoes it back
+  gameClient.sendChat(currentChannel, message);
   chatInput.value = '';
-  
-  // TODO: Send message to server when chat is integrated
-  // Should send: { type: 'chat', channel: currentChannel, message: message }
 }
 
+// Whispers and system messages show up in whichever tab is open
+gameClient.onChatMessage((chat) => {
+  switch (chat.channel) {
+    case 'system':
+      addChatMessage('Server', chat.message, currentChannel, 'chat-system');
+      break;
+    case 'whisper':
+      addChatMessage(chat.target ? `To ${chat.target}` : `From ${chat.name}`, chat.message, currentChannel, 'chat-whisper');
+      break;
+    default:
+      addChatMessage(chat.name, chat.message, chat.channel);
+  }
+});
+
 chatSendBtn.addEventListener('click', sendChatMessage);
 
 chatInput.addEventListener('keydown', (e) => {
@@ -210,36 +255,222 @@ chatInput.addEventListener('keydown', (e) => {
   }
 });
 
-// Spectate button (placeholder)
+// Party panel
+const partyPanel = document.getElementById('partyPanel');
+const partyCodeInput = document.getElementById('partyCodeInput');
+const partyCode = document.getElementById('partyCode');
+const partyMembers = document.getElementById('partyMembers');
+
+document.getElementById('createPartyBtn').addEventListener('click', () => {
+  gameClient.createParty();
+});
+
+function joinParty() {
+  const code = partyCodeInput.value.trim();
+  if (!code) return;
+  gameClient.joinParty(code);
+  partyCodeInput.value = '';
+}
+
+document.getElementById('joinPartyBtn').addEventListener('click', joinParty);
+partyCodeInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    joinParty();
+  }
+});
+
+document.getElementById('leavePartyBtn').addEventListener('click', () => {
+  gameClient.leaveParty();
+});
+
+gameClient.onPartyState((party) => {
+  partyPanel.classList.toggle('inParty', !!party);
+  partyMembers.replaceChildren();
+  if (!party) return;
+  partyCode.textContent = party.code;
+  party.members.forEach((member) => {
+    const item = document.createElement('li');
+    item.textContent = `${member.playerId === party.leaderId ? '★ ' : ''}${member.name || 'Player'}`;
+    item.classList.toggle('offline', !member.online);
+    partyMembers.appendChild(item);
+  });
+});
+
+// Spectate: watch the room without a player until Play is pressed
 const spectateBtn = document.getElementById('spectateBtn');
 if (spectateBtn) {
   spectateBtn.addEventListener('click', () => {
-    // TODO: Implement spectate mode
-    console.log('Spectate mode - coming soon');
+    gameClient.startSpectating();
+    gameClient.setPlaying(true);
+    homeScreen.classList.add('hidden');
   });
 }
 
-// Login button (placeholder)
+// Accounts: login modal, LOGIN/LOGOUT button, and the account's name, settings and stats
 const homeLoginBtn = document.getElementById('homeLoginBtn');
-if (homeLoginBtn) {
-  homeLoginBtn.addEventListener('click', () => {
-    // TODO: Implement login system
-    console.log('Login - coming soon');
+const loginModal = document.getElementById('loginModal');
+const loginUsername = document.getElementById('loginUsername');
+const loginPassword = document.getElementById('loginPassword');
+const loginError = document.getElementById('loginError');
+const accountStats = document.getElementById('accountStats');
+
+function openLogin() {
+  loginError.textContent = '';
+  loginPassword.value = '';
+  loginModal.classList.add('active');
+  loginUsername.focus();
+}
+
+function closeLogin() {
+  loginModal.classList.remove('active');
+}
+
+function submitLogin(register) {
+  const username = loginUsername.value.trim();
+  const password = loginPassword.value;
+  loginError.textContent = '';
+  const request = register
+    ? accountClient.register(username, password)
+    : accountClient.login(username, password);
+  request.then(() => {
+    closeLogin();
+    if (register) {
+      // A new account starts with this browser's settings
+      accountClient.saveSettings({ keybinds: keybindManager.keybinds, theme: isDarkMode ? 'dark' : 'light' });
+    }
+  }).catch((e) => {
+    loginError.textContent = e.message;
   });
 }
 
-// Game mode selection (placeholder)
+homeLoginBtn.addEventListener('click', () => {
+  if (accountClient.account) {
+    accountClient.logout();
+  } else {
+    openLogin();
+  }
+});
+document.getElementById('loginSubmitBtn').addEventListener('click', () => submitLogin(false));
+document.getElementById('registerBtn').addEventListener('click', () => submitLogin(true));
+document.getElementById('closeLogin').addEventListener('click', closeLogin);
+loginPassword.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    submitLogin(false);
+  }
+});
+
+function formatPlayTime(ms) {
+  if (ms < 60000) return `${Math.floor(ms / 1000)}s`;
+  const minutes = Math.floor(ms / 60000);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+accountClient.onChange((account) => {
+  gameClient.setAccountToken(accountClient.token);
+  homeLoginBtn.textContent = account ? 'LOGOUT' : 'LOGIN';
+  accountStats.classList.toggle('active', !!account);
+  // Logged in, the name is the username (the server enforces it)
+  const name = account ? account.username : (localStorage.getItem('playerName') || 'Player');
+  playerNameInput.value = name;
+  playerNameInput.disabled = !!account;
+  homePlayerName.textContent = name;
+  gameClient.setPlayerName(name);
+  if (!account) return;
+
+  if (Object.keys(account.settings.keybinds).length > 0) {
+    keybindManager.applyKeybinds(account.settings.keybinds);
+  }
+  isDarkMode = account.settings.theme !== 'light';
+  updateTheme();
+  document.getElementById('statLives').textContent = account.stats.lives;
+  document.getElementById('statKills').textContent = account.stats.kills;
+  document.getElementById('statBestMass').textContent = account.stats.bestMass;
+  document.getElementById('statTimeAlive').textContent = formatPlayTime(account.stats.timeAlive);
+});
+
+// Game mode selection - each mode runs in its own rooms on the server
 document.querySelectorAll('.gameMode').forEach(mode => {
   mode.addEventListener('click', () => {
     // Remove active class from all modes
     document.querySelectorAll('.gameMode').forEach(m => m.classList.remove('active'));
     // Add active class to clicked mode
     mode.classList.add('active');
-    // TODO: Implement mode switching
+    gameClient.switchRoom(mode.dataset.mode);
+  });
+});
+
+// Update mode cards with live room and player counts
+function updateModeStats() {
+  gameClient.fetchRooms().then((rooms) => {
+    document.querySelectorAll('.gameMode').forEach(card => {
+      const modeRooms = rooms.filter(room => room.mode === card.dataset.mode);
+      const players = modeRooms.reduce((sum, room) => sum + room.players, 0);
+      const stats = card.querySelector('.gameModeStats');
+      stats.textContent = card.dataset.mode === 'wager'
+        ? `1 VS 1 • ${players} Players`
+        : `${modeRooms.length} Rooms • ${players} Players`;
+    });
+  }).catch(() => {
+    // Server unreachable - keep the last counts
+  });
+}
+
+updateModeStats();
+setInterval(updateModeStats, 5000);
+
+// Persistent leaderboards on the home screen
+const leaderboardTabs = document.querySelectorAll('.leaderboard-tab');
+const leaderboardEntries = document.getElementById('leaderboardEntries');
+let leaderboardPeriod = 'daily';
+let leaderboardTables = null;
+
+function renderLeaderboard() {
+  leaderboardEntries.replaceChildren();
+  const entries = leaderboardTables ? leaderboardTables[leaderboardPeriod].entries : [];
+  if (entries.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'leaderboard-detail';
+    empty.textContent = 'No games yet';
+    leaderboardEntries.appendChild(empty);
+    return;
+  }
+  entries.forEach((entry) => {
+    const item = document.createElement('li');
+    const name = document.createElement('span');
+    name.className = `leaderboard-name${entry.registered ? ' registered' : ''}`;
+    name.textContent = `${entry.rank}. ${entry.name}`;
+    const detail = document.createElement('span');
+    detail.className = 'leaderboard-detail';
+    detail.textContent = `${entry.peakMass} • ${entry.kills} kills • ${formatPlayTime(entry.timeAlive)}`;
+    item.appendChild(name);
+    item.appendChild(detail);
+    leaderboardEntries.appendChild(item);
+  });
+}
+
+function updateLeaderboards() {
+  // Only while the home screen shows them
+  if (gameClient.isPlaying) return;
+  gameClient.fetchLeaderboards().then((tables) => {
+    leaderboardTables = tables;
+    renderLeaderboard();
+  }).catch(() => {
+    // Server unreachable - keep the last tables
+  });
+}
+
+leaderboardTabs.forEach((tab) => {
+  tab.addEventListener('click', () => {
+    leaderboardPeriod = tab.dataset.period;
+    leaderboardTabs.forEach((other) => other.classList.toggle('active', other === tab));
+    renderLeaderboard();
   });
 });
 
+updateLeaderboards();
+setInterval(updateLeaderboards, 30000);
+
 
-// Start game
-gameClient.connect();
+// Start game - once a saved login is checked, so our first player is already the account's
+accountClient.load().then(() => gameClient.connect());
 
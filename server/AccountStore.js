@@ -0,0 +1,241 @@
+import { createHash, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { promisify } from 'util';
+
+const scryptAsync = promisify(scrypt);
+
+// Bump when the layout of the accounts file changes; older files are refused rather than overwritten
+const SAVE_VERSION = 1;
+const SAVE_DELAY = 1000; // Changes are batched into one write at most this often (ms)
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000; // Login tokens last 30 days
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,16}$/;
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 128;
+const KEY_LENGTH = 64;
+const THEMES = ['dark', 'light'];
+
+export class AccountError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Player accounts in one JSON file: scrypt-hashed passwords, login tokens
+ * (stored as SHA-256 hashes, so the file alone can't be used to log in),
+ * settings and lifetime stats. Without a path accounts live in memory only.
+ */
+export class AccountStore {
+  constructor(path) {
+    this.path = path || null;
+    this.accounts = new Map(); // lowercase username -> account
+    this.sessions = new Map(); // token hash -> {username, expiresAt}
+    this.saveTimer = null;
+    this.load();
+  }
+
+  async register(username, password) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      throw new AccountError('Usernames are 3-16 letters, digits or underscores');
+    }
+    checkPassword(password);
+    const key = username.toLowerCase();
+    if (this.accounts.has(key)) {
+      throw new AccountError('That username is taken', 409);
+    }
+    const passwordHash = await hashPassword(password);
+    // Someone may have registered the same name while we were hashing
+    if (this.accounts.has(key)) {
+      throw new AccountError('That username is taken', 409);
+    }
+    const account = {
+      id: randomBytes(8).toString('hex'),
+      username,
+      passwordHash,
+      createdAt: Date.now(),
+      settings: { keybinds: {}, theme: 'dark' },
+      stats: {
+        lives: 0,
+        deaths: 0,
+        kills: 0,
+        massEaten: 0,
+        pelletsEaten: 0,
+        bestMass: 0,
+        timeAlive: 0
+      }
+    };
+    this.accounts.set(key, account);
+    console.log(`Account registered: ${username}`);
+    return this.createSession(account);
+  }
+
+  async login(username, password) {
+    const account = typeof username === 'string' ? this.accounts.get(username.toLowerCase()) : null;
+    // Hash even for unknown names, so response times don't reveal which names exist
+    const valid = await verifyPassword(typeof password === 'string' ? password : '', account ? account.passwordHash : null);
+    if (!account || !valid) {
+      throw new AccountError('Wrong username or password', 401);
+    }
+    return this.createSession(account);
+  }
+
+  logout(token) {
+    if (this.sessions.delete(hashToken(token))) {
+      this.scheduleSave();
+    }
+  }
+
+  // The account a login token belongs to, or null if it is unknown or expired
+  authenticate(token) {
+    if (typeof token !== 'string' || token.length === 0) return null;
+    const tokenHash = hashToken(token);
+    const session = this.sessions.get(tokenHash);
+    if (!session) return null;
+    if (session.expiresAt < Date.now()) {
+      this.sessions.delete(tokenHash);
+      this.scheduleSave();
+      return null;
+    }
+    return this.accounts.get(session.username) || null;
+  }
+
+  createSession(account) {
+    const token = randomBytes(32).toString('hex');
+    this.sessions.set(hashToken(token), { username: account.username.toLowerCase(), expiresAt: Date.now() + SESSION_TTL });
+    this.scheduleSave();
+    return { token, account: this.getPublicAccount(account) };
+  }
+
+  // Keybinds and theme; unknown fields are ignored
+  updateSettings(account, settings) {
+    if (!settings || typeof settings !== 'object') {
+      throw new AccountError('Settings must be an object');
+    }
+    if (settings.keybinds !== undefined) {
+      if (!settings.keybinds || typeof settings.keybinds !== 'object' || Array.isArray(settings.keybinds)) {
+        throw new AccountError('Keybinds must be an object');
+      }
+      const keybinds = {};
+      Object.entries(settings.keybinds).slice(0, 32).forEach(([action, key]) => {
+        if (typeof key === 'string' && action.length <= 32 && key.length <= 32) {
+          keybinds[action] = key;
+        }
+      });
+      account.settings.keybinds = keybinds;
+    }
+    if (settings.theme !== undefined) {
+      if (!THEMES.includes(settings.theme)) {
+        throw new AccountError(`Theme must be one of: ${THEMES.join(', ')}`);
+      }
+      account.settings.theme = settings.theme;
+    }
+    this.scheduleSave();
+    return this.getPublicAccount(account);
+  }
+
+  // Add a finished life (Player.getLifeSummary()) to the account's lifetime stats
+  recordLife(accountId, summary, died) {
+    const account = this.getAccountById(accountId);
+    if (!account) return;
+    const stats = account.stats;
+    stats.lives++;
+    if (died) stats.deaths++;
+    stats.kills += summary.kills.length;
+    stats.massEaten += summary.massEaten;
+    stats.pelletsEaten += summary.pelletsEaten;
+    stats.bestMass = Math.max(stats.bestMass, summary.peakMass);
+    stats.timeAlive += summary.timeAlive;
+    this.scheduleSave();
+  }
+
+  // Registered names can't be used by anyone else, whatever the case
+  isNameReserved(name, accountId = null) {
+    const account = this.accounts.get(name.trim().toLowerCase());
+    return !!account && account.id !== accountId;
+  }
+
+  getAccountById(accountId) {
+    if (!accountId) return null;
+    for (const account of this.accounts.values()) {
+      if (account.id === accountId) return account;
+    }
+    return null;
+  }
+
+  getPublicAccount(account) {
+    return {
+      id: account.id,
+      username: account.username,
+      createdAt: account.createdAt,
+      settings: account.settings,
+      stats: account.stats
+    };
+  }
+
+  scheduleSave() {
+    if (!this.path || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+  }
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.path) return;
+    try {
+      mkdirSync(dirname(this.path), { recursive: true });
+      // Write then rename, so a crash mid-write never leaves a truncated file
+      const tempPath = `${this.path}.tmp`;
+      writeFileSync(tempPath, JSON.stringify({
+        version: SAVE_VERSION,
+        accounts: Array.from(this.accounts.values()),
+        sessions: Array.from(this.sessions.entries()).map(([tokenHash, session]) => ({ tokenHash, ...session }))
+      }));
+      renameSync(tempPath, this.path);
+    } catch (e) {
+      console.error(`Error saving accounts to ${this.path}:`, e);
+    }
+  }
+
+  load() {
+    if (!this.path || !existsSync(this.path)) return;
+    // Unlike a world save, a bad accounts file must not be silently replaced with an empty one
+    const state = JSON.parse(readFileSync(this.path, 'utf8'));
+    if (state.version !== SAVE_VERSION) {
+      throw new Error(`Accounts file ${this.path} has version ${state.version}, expected ${SAVE_VERSION}`);
+    }
+    const now = Date.now();
+    state.accounts.forEach((account) => this.accounts.set(account.username.toLowerCase(), account));
+    state.sessions.forEach(({ tokenHash, ...session }) => {
+      if (session.expiresAt > now) {
+        this.sessions.set(tokenHash, session);
+      }
+    });
+    console.log(`Loaded ${this.accounts.size} accounts from ${this.path}`);
+  }
+}
+
+function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
+    throw new AccountError(`Passwords are ${PASSWORD_MIN_LENGTH}-${PASSWORD_MAX_LENGTH} characters`);
+  }
+}
+
+async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+// Without a stored hash this still does the work of a check, and fails
+async function verifyPassword(password, stored) {
+  const [, saltHex, hashHex] = (stored || `scrypt$${'0'.repeat(32)}$`).split('$');
+  const hash = await scryptAsync(password, Buffer.from(saltHex, 'hex'), KEY_LENGTH);
+  const expected = Buffer.from(hashHex, 'hex');
+  return !!stored && expected.length === hash.length && timingSafeEqual(expected, hash);
+}
+
+function hashToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
@@ -0,0 +1,278 @@
+import { timingSafeEqual } from 'crypto';
+import { NetworkConstants } from './NetworkConstants.js';
+import { TokenBucket } from './RateLimiter.js';
+
+/**
+ * Server side of chat: checks length, rate and mutes, filters words, and
+ * delivers messages to the sender's room (global) or party. Messages starting
+ * with '/' are commands; moderators unlock theirs with `/mod <key>`.
+ */
+export class Chat {
+  constructor(server, options = {}) {
+    this.server = server; // For its clients and send()
+    this.modKey = options.modKey ? Buffer.from(options.modKey) : null; // No key, no moderators
+    this.filterPattern = buildFilterPattern(options.filterWords || []);
+    // Keyed by session token, account and address (see getMuteKeys), so reloading the page or
+    // logging in or out doesn't shed a mute
+    this.mutes = new Map(); // mute key -> {expiresAt, name}
+    // Wrong /mod keys by address, so guessing the key can't be spread over reconnects
+    this.modFailures = new Map(); // address -> {count, lockedUntil, lastFailedAt}
+    this.commands = {
+      help: { run: (client) => this.help(client) },
+      mod: { run: (client, args) => this.login(client, args), usage: '/mod <key>' },
+      // speaks: the command sends a message to others, so a mute applies to it
+      w: { run: (client, args) => this.whisper(client, args), usage: '/w <player> <message>', moderator: true, speaks: true },
+      notice: { run: (client, args) => this.notice(client, args), usage: '/notice <message>', moderator: true, speaks: true },
+      mute: { run: (client, args) => this.mute(client, args), usage: '/mute <player> [minutes]', moderator: true },
+      unmute: { run: (client, args) => this.unmute(client, args), usage: '/unmute <player>', moderator: true }
+    };
+  }
+
+  // Per-client chat budget, kept on the client record
+  createLimiter() {
+    return new TokenBucket(NetworkConstants.CHAT_BURST, NetworkConstants.CHAT_REFILL_PER_SECOND);
+  }
+
+  handleMessage(client, channel, text) {
+    const message = text.trim();
+    if (message.length === 0) return;
+    // Commands count against the same budget as messages
+    if (!client.chatLimiter.take()) {
+      this.reply(client, 'You are sending messages too fast');
+      return;
+    }
+
+    if (message.startsWith('/')) {
+      this.runCommand(client, message);
+      return;
+    }
+    if (channel !== 'global' && channel !== 'party') {
+      this.reply(client, `You can't send on the ${channel} channel`);
+      return;
+    }
+    if (this.replyIfMuted(client)) return;
+
+    const recipients = channel === 'party' ? this.getPartyClients(client) : this.getRoomClients(client);
+    if (!recipients) {
+      this.reply(client, 'You are not in a party');
+      return;
+    }
+    this.deliver(recipients, {
+      type: 'chatMessage',
+      channel,
+      playerId: client.playerId,
+      name: this.getName(client),
+      message: this.filter(message),
+      timestamp: Date.now()
+    });
+  }
+
+  runCommand(client, message) {
+    const [name, ...args] = message.slice(1).split(/\s+/);
+    const command = this.commands[name.toLowerCase()];
+    if (!command || (command.moderator && !client.session.moderator)) {
+      this.reply(client, `Unknown command /${name} - try /help`);
+      return;
+    }
+    if (command.speaks && this.replyIfMuted(client)) return;
+    command.run(client, args);
+  }
+
+  // Tells a muted client so and returns true
+  replyIfMuted(client) {
+    const mute = this.getMute(client);
+    if (!mute) return false;
+    this.reply(client, `You are muted for ${formatDuration(mute.expiresAt - Date.now())}`);
+    return true;
+  }
+
+  help(client) {
+    const usages = Object.entries(this.commands)
+      .filter(([, command]) => !command.moderator || client.session.moderator)
+      .map(([name, command]) => command.usage || `/${name}`);
+    this.reply(client, `Commands: ${usages.join(', ')}`);
+  }
+
+  login(client, args) {
+    const failures = this.modFailures.get(client.address);
+    if (failures && failures.lockedUntil > Date.now()) {
+      this.reply(client, `Too many wrong keys - try again in ${formatDuration(failures.lockedUntil - Date.now())}`);
+      return;
+    }
+    const key = Buffer.from(args.join(' '));
+    if (!this.modKey || key.length !== this.modKey.length || !timingSafeEqual(key, this.modKey)) {
+      this.recordModFailure(client);
+      this.reply(client, 'Wrong moderator key');
+      return;
+    }
+    this.modFailures.delete(client.address);
+    // On the session, so it survives a resume
+    client.session.moderator = true;
+    console.log(`Player ${client.playerId} (${this.getName(client)}) is now a moderator`);
+    this.reply(client, 'You are now a moderator - /help lists your commands');
+  }
+
+  recordModFailure(client) {
+    const now = Date.now();
+    let failures = this.modFailures.get(client.address);
+    // Start counting again after a lockout, or once the last failure is a lockout period old
+    if (!failures || failures.lockedUntil > 0 || now - failures.lastFailedAt > NetworkConstants.MOD_LOGIN_LOCKOUT) {
+      if (this.modFailures.size > 10000) this.modFailures.clear();
+      failures = { count: 0, lockedUntil: 0, lastFailedAt: 0 };
+      this.modFailures.set(client.address, failures);
+    }
+    failures.count++;
+    failures.lastFailedAt = now;
+    console.warn(`Failed moderator login from player ${client.playerId} (${client.address}), ${failures.count} in a row`);
+    if (failures.count >= NetworkConstants.MOD_LOGIN_MAX_FAILURES) {
+      failures.lockedUntil = now + NetworkConstants.MOD_LOGIN_LOCKOUT;
+      console.warn(`Moderator login locked for ${client.address}`);
+    }
+  }
+
+  whisper(client, args) {
+    const target = this.findClient(client, args[0]);
+    const message = args.slice(1).join(' ');
+    if (!target || !message) {
+      this.reply(client, target ? 'Usage: /w <player> <message>' : `No player named ${args[0] || '""'} here`);
+      return;
+    }
+    const whisper = {
+      type: 'chatMessage',
+      channel: 'whisper',
+      playerId: client.playerId,
+      name: this.getName(client),
+      message,
+      timestamp: Date.now()
+    };
+    this.deliver([target], whisper);
+    // The sender's copy names who it went to
+    this.deliver([client], { ...whisper, target: this.getName(target) });
+  }
+
+  notice(client, args) {
+    const message = args.join(' ');
+    if (!message) {
+      this.reply(client, 'Usage: /notice <message>');
+      return;
+    }
+    console.log(`Notice from ${this.getName(client)} in room ${client.room.id}: ${message}`);
+    this.deliver(this.getRoomClients(client), this.systemMessage(message));
+  }
+
+  mute(client, args) {
+    const target = this.findClient(client, args[0]);
+    if (!target) {
+      this.reply(client, `No player named ${args[0] || '""'} here`);
+      return;
+    }
+    const minutes = args[1] !== undefined ? Number(args[1]) : NetworkConstants.CHAT_DEFAULT_MUTE_MINUTES;
+    if (!(minutes > 0)) {
+      this.reply(client, 'Usage: /mute <player> [minutes]');
+      return;
+    }
+    const mute = { expiresAt: Date.now() + minutes * 60000, name: this.getName(target) };
+    this.getMuteKeys(target).forEach((key) => this.mutes.set(key, mute));
+    console.log(`${this.getName(client)} muted ${mute.name} for ${minutes} min`);
+    this.reply(client, `Muted ${mute.name} for ${formatDuration(minutes * 60000)}`);
+    this.reply(target, `You have been muted for ${formatDuration(minutes * 60000)}`);
+  }
+
+  unmute(client, args) {
+    const target = this.findClient(client, args[0]);
+    if (!target) {
+      this.reply(client, `No player named ${args[0] || '""'} here`);
+      return;
+    }
+    this.getMuteKeys(target).forEach((key) => this.mutes.delete(key));
+    this.reply(client, `Unmuted ${this.getName(target)}`);
+    this.reply(target, 'You are no longer muted');
+  }
+
+  getMute(client) {
+    const now = Date.now();
+    for (const key of this.getMuteKeys(client)) {
+      const mute = this.mutes.get(key);
+      if (!mute) continue;
+      if (mute.expiresAt > now) return mute;
+      this.mutes.delete(key);
+    }
+    return null;
+  }
+
+  // The session, the account of a logged-in player, and the address of a guest. A mute is set
+  // on all of the target's keys and any one of them mutes (a muted guest who logs in stays muted)
+  getMuteKeys(client) {
+    const keys = [`session:${client.session.token}`];
+    const player = client.room.world.players.get(client.playerId);
+    if (player && player.accountId) {
+      keys.push(`account:${player.accountId}`);
+    } else if (client.address) {
+      keys.push(`address:${client.address}`);
+    }
+    return keys;
+  }
+
+  // Replaces filtered words with asterisks
+  filter(message) {
+    if (!this.filterPattern) return message;
+    return message.replace(this.filterPattern, (word) => '*'.repeat(word.length));
+  }
+
+  // A connected player in the sender's room, by `#id` or name (case-insensitive)
+  findClient(client, name) {
+    if (!name) return null;
+    const candidates = Array.from(client.room.clients.values());
+    if (name.startsWith('#')) {
+      const playerId = Number(name.slice(1));
+      return candidates.find((candidate) => candidate.playerId === playerId) || null;
+    }
+    const lower = name.toLowerCase();
+    return candidates.find((candidate) => this.getName(candidate).toLowerCase() === lower) || null;
+  }
+
+  getRoomClients(client) {
+    return Array.from(client.room.clients.values());
+  }
+
+  // Clients in the sender's party, or null if it isn't in one
+  getPartyClients(client) {
+    return client.party ? this.server.parties.getClients(client.party) : null;
+  }
+
+  getName(client) {
+    const player = client.room.world.players.get(client.playerId);
+    if (player) return player.name;
+    return client.session.spectator ? 'Spectator' : `Player ${client.playerId}`;
+  }
+
+  systemMessage(message) {
+    return { type: 'chatMessage', channel: 'system', playerId: 0, name: '', message, timestamp: Date.now() };
+  }
+
+  // A system message to one client only
+  reply(client, message) {
+    this.deliver([client], this.systemMessage(message));
+  }
+
+  deliver(clients, message) {
+    clients.forEach((client) => {
+      if (client.ws.readyState !== 1) return; // OPEN
+      this.server.send(client.ws, message);
+    });
+  }
+}
+
+// One case-insensitive, whole-word pattern for the whole filter list
+function buildFilterPattern(words) {
+  const escaped = words
+    .map((word) => word.trim())
+    .filter((word) => word.length > 0)
+    .map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return escaped.length > 0 ? new RegExp(`\\b(?:${escaped.join('|')})\\b`, 'gi') : null;
+}
+
+function formatDuration(ms) {
+  const minutes = Math.max(1, Math.ceil(ms / 60000));
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+}
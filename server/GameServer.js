@@ -1,28 +1,235 @@
-import { GameWorld } from './GameWorld.js';
+import { randomBytes } from 'crypto';
+import { mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { RoomManager } from './RoomManager.js';
+import { NetworkConstants } from './NetworkConstants.js';
+import { validateMessage, clampInput } from './MessageSchema.js';
+import { RateLimiter, TokenBucket } from './RateLimiter.js';
+import { Metrics } from './Metrics.js';
+import { WorldStore } from './WorldStore.js';
+import { Chat } from './Chat.js';
+import { PartyManager } from './PartyManager.js';
+import { Player } from './entities/Player.js';
+import { TICK_RATE } from '../shared/Movement.js';
+import { encodeMessage, decodeMessage } from '../shared/Protocol.js';
+
+// Tick duration histogram buckets (seconds), around the 16.7ms tick budget
+const TICK_DURATION_BUCKETS = [0.001, 0.002, 0.004, 0.008, 0.012, 0.016, 0.025, 0.05, 0.1];
+
+// Close codes we expect, by metrics label; anything else counts as 'other'
+const DISCONNECT_REASONS = {
+  1000: 'normal',
+  1001: 'going_away',
+  1006: 'abnormal',
+  1008: 'kicked',
+  1012: 'shutdown',
+  4001: 'resumed_elsewhere'
+};
 
 export class GameServer {
-  constructor(wss) {
+  constructor(wss, options = {}) {
     this.wss = wss;
-    this.world = new GameWorld();
-    this.clients = new Map(); // clientId -> {ws, playerId, lastInput}
-    
+    this.setupMetrics();
+    this.rooms = new RoomManager({ timeScale: options.timeScale }, {
+      tickDuration: this.tickDuration,
+      sentBytes: this.sentBytes
+    });
+    this.clients = new Map(); // clientId -> {ws, room, playerId, session, lastInput, viewport}
+    this.sessions = new Map(); // resumeToken -> {token, roomId, playerId, clientId, expiryTimer}
+    this.resumeGracePeriod = options.resumeGracePeriod ?? NetworkConstants.RESUME_GRACE_PERIOD;
+    this.draining = false; // Set while shutting down - /readyz fails so no new players are routed here
+    this.drainPromise = null;
+    this.statsDir = options.statsDir || null; // Final leaderboard and session stats are written here on shutdown
+    // Worlds and resumable sessions are saved here periodically and on shutdown, and restored on startup
+    this.store = options.worldSavePath ? new WorldStore(options.worldSavePath) : null;
+    this.persistTimer = null;
+    this.chat = new Chat(this, { modKey: options.chatModKey, filterWords: options.chatFilterWords });
+    this.parties = new PartyManager(this);
+    // Registered players (AccountStore): a client's `login` message links its Player to the account.
+    // The token only ever travels in that message, never in the URL, so it stays out of access logs
+    this.accounts = options.accounts || null;
+    this.leaderboards = options.leaderboards || null; // LeaderboardStore of every human life
+    this.rooms.onPlayerDeath = (player) => this.recordLife(player, true);
+
+    this.restoreWorlds();
     this.setupWebSocket();
-    this.startGameLoop();
+    if (this.store) {
+      this.persistTimer = setInterval(() => this.persist(), NetworkConstants.PERSIST_INTERVAL);
+    }
+  }
+
+  persist() {
+    if (!this.store) return;
+    try {
+      this.store.save({
+        rooms: this.rooms.getRooms().map((room) => ({
+          id: room.id,
+          mode: room.mode,
+          matchmade: room.matchmade,
+          world: room.world.save()
+        })),
+        // The resume token doubles as the persisted player key
+        sessions: Array.from(this.sessions.values()).map((session) => ({
+          token: session.token,
+          roomId: session.roomId,
+          playerId: session.playerId
+        }))
+      });
+    } catch (e) {
+      console.error('Error saving worlds:', e);
+    }
+  }
+
+  restoreWorlds() {
+    const saved = this.store?.load();
+    if (!saved) return;
+
+    saved.rooms.forEach((room) => {
+      this.rooms.restoreRoom(room.id, room.mode, room.matchmade, room.world);
+    });
+    // Every player is offline after a restart: each gets the usual grace period to reconnect
+    saved.sessions.forEach(({ token, roomId, playerId }) => {
+      const session = { token, roomId, playerId, clientId: null, expiryTimer: null, resumed: false };
+      if (!this.getSessionPlayer(session)) return;
+      this.sessions.set(token, session);
+      this.suspendSession(session);
+    });
+    // Humans nobody can reclaim would otherwise stay in the world forever
+    const owned = new Set(Array.from(this.sessions.values()).map((session) => `${session.roomId}:${session.playerId}`));
+    this.rooms.getRooms().forEach((room) => {
+      room.world.players.forEach((player, playerId) => {
+        if (!player.isBot && !owned.has(`${room.id}:${playerId}`)) {
+          room.world.removePlayer(playerId);
+        }
+      });
+    });
+    const age = Math.round((Date.now() - saved.savedAt) / 1000);
+    console.log(`Restored ${saved.rooms.length} rooms and ${this.sessions.size} sessions from ${this.store.path} (saved ${age}s ago)`);
+  }
+
+  setupMetrics() {
+    this.metrics = new Metrics('instant_');
+    this.metrics.gauge('clients', 'Connected WebSocket clients', () => this.clients.size);
+    this.metrics.gauge('players', 'Players in all rooms, by kind (disconnected humans waiting to resume included)', () => {
+      let humans = 0;
+      let bots = 0;
+      this.rooms.getRooms().forEach((room) => {
+        room.world.players.forEach((player) => {
+          if (player.isBot) bots++; else humans++;
+        });
+      });
+      return [{ labels: { kind: 'human' }, value: humans }, { labels: { kind: 'bot' }, value: bots }];
+    });
+    this.metrics.gauge('rooms', 'Open rooms', () => this.rooms.getRooms().length);
+    this.metrics.gauge('entities', 'Entities in all rooms, by type', () => {
+      const totals = {};
+      this.rooms.getRooms().forEach((room) => {
+        Object.entries(room.getEntityCounts()).forEach(([type, count]) => {
+          totals[type] = (totals[type] || 0) + count;
+        });
+      });
+      return Object.entries(totals).map(([type, value]) => ({ labels: { type }, value }));
+    });
+    this.tickDuration = this.metrics.histogram('tick_duration_seconds', 'Time to simulate one world tick', TICK_DURATION_BUCKETS);
+    this.sentBytes = this.metrics.counter('sent_bytes_total', 'Bytes sent to clients');
+    this.messagesReceived = this.metrics.counter('messages_received_total', 'Messages received from clients, by type');
+    this.websocketErrors = this.metrics.counter('websocket_errors_total', 'WebSocket errors');
+    this.disconnects = this.metrics.counter('disconnects_total', 'Closed client connections, by reason');
+  }
+
+  getMetrics() {
+    return this.metrics.render();
+  }
+
+  send(ws, message) {
+    const data = encodeMessage(message);
+    ws.send(data);
+    this.sentBytes.inc({}, data.byteLength);
   }
 
   setupWebSocket() {
     this.wss.on('connection', (ws, req) => {
       const clientId = `${Date.now()}-${Math.random()}`;
-      const playerId = this.world.createPlayer();
+      if (this.draining) {
+        // 1012 = service restart - the client moves on to another server
+        this.disconnects.inc({ reason: 'draining' });
+        ws.close(1012, 'Server is shutting down');
+        return;
+      }
+      // Clients pick a room as ws://host/?room=<id>, resume as ?resume=<token>,
+      // stay in their party with ?party=<member key> and watch with ?spectate=1. A login
+      // message links the player to an account (the token never goes in the URL)
+      const params = new URL(req.url, 'http://localhost').searchParams;
+      const spectator = params.get('spectate') === '1';
+
+      let session = spectator ? null : this.resumeSession(params.get('resume'), clientId);
+      if (!session) {
+        const { room, error } = this.findRoom(params, spectator);
+        if (error) {
+          console.warn(`Rejected client ${clientId}: ${error}`);
+          this.disconnects.inc({ reason: 'rejected' });
+          ws.close(4002, error);
+          return;
+        }
+        session = spectator ? this.createSpectatorSession(clientId, room) : this.createSession(clientId, room);
+      }
+      const room = this.rooms.getRoom(session.roomId);
+      const playerId = session.playerId;
       
-      this.clients.set(clientId, {
+      const client = {
+        clientId,
         ws,
+        room,
         playerId,
+        session,
+        address: getClientAddress(req), // For mutes that must outlast a new session
+        connectedAt: Date.now(),
         lastInput: { dirX: 0, dirY: 0 },
-        lastInputTime: Date.now()
-      });
+        lastInputTime: Date.now(),
+        // Sequenced inputs waiting for a tick, and the last one simulated (echoed in snapshots)
+        inputQueue: [],
+        lastInputSeq: 0,
+        viewport: {
+          width: NetworkConstants.VIEW_DEFAULT_WIDTH,
+          height: NetworkConstants.VIEW_DEFAULT_HEIGHT,
+          zoom: 1
+        },
+        viewCenter: { x: room.world.config.mapWidth / 2, y: room.world.config.mapHeight / 2 },
+        viewRect: null,
+        // Game events waiting for the next snapshot
+        pendingEvents: [],
+        // Delta snapshots: states we sent, by sequence number, and the latest one the client acknowledged
+        snapshotSeq: 0,
+        sentStates: new Map(),
+        ackedSeq: null,
+        // Abuse protection: per-type rate limits, and a budget of rejected messages before we disconnect
+        rateLimiter: new RateLimiter(NetworkConstants.RATE_LIMITS),
+        violations: new TokenBucket(NetworkConstants.VIOLATION_BURST, NetworkConstants.VIOLATION_REFILL_PER_SECOND),
+        kicked: false,
+        chatLimiter: this.chat.createLimiter(),
+        party: null, // Set by PartyManager while in a party
+        partyMember: null,
+        // What this client's snapshots follow instead of its own player: {mode, targetId}, see Room.getSpectateTarget
+        spectate: spectator ? { mode: 'top', targetId: 0 } : null,
+        spectateTargetId: 0, // Who the last snapshot followed
+        // Backpressure: snapshots go out every snapshotInterval ticks while the send buffer allows
+        snapshotInterval: 1,
+        ticksSinceSnapshot: 0,
+        lagStrikes: 0,
+        cleanSends: 0,
+        sendStats: {
+          snapshotsSent: 0,
+          snapshotsSkipped: 0,
+          bytesSent: 0,
+          rateReductions: 0,
+          peakBufferedAmount: 0
+        }
+      };
+      this.clients.set(clientId, client);
+      room.addClient(clientId, client);
 
-      console.log(`Client connected: ${clientId}, Player: ${playerId}`);
+      const joined = spectator ? 'spectating' : session.resumed ? 'resumed' : 'connected';
+      console.log(`Client ${joined}: ${clientId}, Player: ${playerId}, Room: ${room.id}`);
 
       // Optimize WebSocket for low latency
       if (ws._socket) {
@@ -31,63 +238,425 @@ export class GameServer {
       }
 
       // Send initial state
-      ws.send(JSON.stringify({
+      this.send(ws, {
         type: 'init',
         playerId,
-        config: this.world.config
-      }));
+        roomId: room.id,
+        mode: room.mode,
+        config: room.world.config,
+        resumeToken: session.spectator ? '' : session.token, // Spectators have nothing to resume
+        resumed: session.resumed
+      });
+      // A player that died while we were away gets its death screen now
+      const player = room.world.players.get(playerId);
+      if (session.resumed && player && player.cells.length === 0 && player.life.endedAt !== null) {
+        this.send(ws, { type: 'death', ...player.getLifeSummary() });
+      }
+      session.resumed = false;
+      if (!spectator) {
+        this.parties.attach(client, params.get('party'));
+      }
 
       ws.on('message', (data) => {
+        let message;
         try {
-          const message = JSON.parse(data.toString());
-          this.handleMessage(clientId, message);
+          message = decodeMessage(data);
         } catch (e) {
-          console.error('Error parsing message:', e);
+          this.messagesReceived.inc({ type: 'malformed' });
+          this.recordViolation(clientId, `Malformed message: ${e.message}`);
+          return;
         }
+        this.messagesReceived.inc({ type: message.type });
+        this.handleMessage(clientId, message);
       });
 
-      ws.on('close', () => {
-        this.world.removePlayer(playerId);
+      ws.on('close', (code) => {
+        this.disconnects.inc({ reason: this.getDisconnectReason(client, code) });
         this.clients.delete(clientId);
+        room.removeClient(clientId);
+        this.parties.detach(client);
+        // A client that resumed elsewhere already took the session over; spectators have nothing to keep
+        if (session.clientId === clientId && !session.spectator) {
+          if (client.kicked || code === 1000 || this.draining) {
+            // Abusive clients don't get to resume, a normal close means the player left,
+            // and nothing survives a shutdown. A session saved with the world continues
+            // after the restart, so its life isn't over yet
+            this.endSession(session, !(this.draining && this.store));
+          } else {
+            this.suspendSession(session);
+          }
+        }
         console.log(`Client disconnected: ${clientId}`);
       });
 
       ws.on('error', (error) => {
+        this.websocketErrors.inc();
         console.error(`WebSocket error for ${clientId}:`, error);
       });
     });
   }
 
+  /**
+   * Drain for shutdown: refuse new connections, warn every client with a
+   * countdown, then write final stats and close all sockets. Resolves once
+   * the sockets are closed; calling it again returns the same promise.
+   */
+  drain(countdownMs) {
+    if (this.drainPromise) return this.drainPromise;
+    this.draining = true;
+    clearInterval(this.persistTimer);
+    console.log(`Draining: closing ${this.clients.size} clients in ${countdownMs}ms`);
+
+    this.clients.forEach((client) => {
+      if (client.ws.readyState !== 1) return; // OPEN
+      this.send(client.ws, {
+        type: 'serverShutdown',
+        countdownMs,
+        reason: 'Server restarting'
+      });
+    });
+
+    this.drainPromise = new Promise((resolve) => {
+      setTimeout(() => {
+        this.writeFinalStats();
+        this.persist(); // Before the sockets close and their sessions end
+        this.clients.forEach((client) => {
+          client.ws.close(1012, 'Server restarting');
+        });
+        this.rooms.stop();
+        resolve();
+      }, countdownMs);
+    });
+    return this.drainPromise;
+  }
+
+  getFinalStats() {
+    const now = Date.now();
+    return {
+      time: new Date(now).toISOString(),
+      rooms: this.rooms.getRooms().map((room) => ({
+        ...room.getInfo(),
+        tick: room.world.clock.tick,
+        leaderboard: room.world.getLeaderboard(),
+        stats: room.world.stats
+      })),
+      sessions: Array.from(this.clients.entries()).map(([clientId, client]) => {
+        const player = client.room.world.players.get(client.playerId);
+        return {
+          clientId,
+          roomId: client.room.id,
+          playerId: client.playerId,
+          name: player ? player.name : null,
+          score: player ? player.score : 0,
+          connectedSeconds: Math.round((now - client.connectedAt) / 1000),
+          ...client.sendStats
+        };
+      })
+    };
+  }
+
+  writeFinalStats() {
+    const stats = this.getFinalStats();
+    console.log('Final stats:', JSON.stringify(stats));
+    if (!this.statsDir) return;
+    try {
+      mkdirSync(this.statsDir, { recursive: true });
+      const path = join(this.statsDir, `shutdown-${stats.time.replace(/[:.]/g, '-')}.json`);
+      writeFileSync(path, JSON.stringify(stats, null, 2));
+      console.log(`Final stats written to ${path}`);
+    } catch (e) {
+      console.error('Error writing final stats:', e);
+    }
+  }
+
+  getDisconnectReason(client, code) {
+    if (client.kicked) return 'kicked';
+    if (client.dropped) return 'send_buffer'; // Terminated by backpressure
+    return DISCONNECT_REASONS[code] || 'other';
+  }
+
+  // Party members go wherever their leader is if there's space, and spectators may watch a full room
+  findRoom(params, spectator) {
+    const roomId = spectator ? params.get('room') : this.parties.getRoomFor(params.get('party'));
+    const room = roomId ? this.rooms.getRoom(roomId) : null;
+    if (room && (spectator || room.hasSpace())) {
+      return { room };
+    }
+    return this.rooms.joinRoom(params.get('room'));
+  }
+
+  createSession(clientId, room) {
+    const session = {
+      token: randomBytes(16).toString('hex'),
+      roomId: room.id,
+      playerId: room.world.createPlayer(),
+      clientId,
+      expiryTimer: null,
+      resumed: false
+    };
+    this.sessions.set(session.token, session);
+    return session;
+  }
+
+  // Spectators own no player and can't resume; the token only identifies them to chat
+  createSpectatorSession(clientId, room) {
+    return {
+      token: randomBytes(16).toString('hex'),
+      roomId: room.id,
+      playerId: 0,
+      clientId,
+      expiryTimer: null,
+      resumed: false,
+      spectator: true
+    };
+  }
+
+  resumeSession(token, clientId) {
+    const session = token ? this.sessions.get(token) : null;
+    if (!session) return null;
+
+    const player = this.getSessionPlayer(session);
+    if (!player) {
+      this.endSession(session);
+      return null;
+    }
+
+    // The old socket may still look open (half-open TCP) - the new one takes over
+    const previous = session.clientId ? this.clients.get(session.clientId) : null;
+    if (previous) {
+      this.clients.delete(session.clientId);
+      previous.room.removeClient(session.clientId);
+      previous.ws.close(4001, 'Session resumed elsewhere');
+    }
+
+    clearTimeout(session.expiryTimer);
+    session.expiryTimer = null;
+    session.clientId = clientId;
+    session.resumed = true;
+    player.isDisconnected = false;
+    player.setInput(0, 0);
+    return session;
+  }
+
+  suspendSession(session) {
+    // Keep the player in the world for the grace period so the client can reclaim it
+    session.clientId = null;
+    const player = this.getSessionPlayer(session);
+    if (player) {
+      player.isDisconnected = true;
+    }
+    session.expiryTimer = setTimeout(() => this.endSession(session), this.resumeGracePeriod);
+  }
+
+  // recordLife false: the player's life goes on elsewhere (a world save), so it isn't counted yet
+  endSession(session, recordLife = true) {
+    clearTimeout(session.expiryTimer);
+    this.sessions.delete(session.token);
+    const room = this.rooms.getRoom(session.roomId);
+    if (room) {
+      // A life cut short by leaving still counts towards stats and leaderboards
+      const player = room.world.players.get(session.playerId);
+      if (recordLife && player && player.cells.length > 0) {
+        this.recordLife(player, false);
+      }
+      room.world.removePlayer(session.playerId);
+    }
+  }
+
+  // A human player's life ended (bots never get here)
+  recordLife(player, died) {
+    const summary = player.getLifeSummary();
+    if (this.accounts && player.accountId) {
+      this.accounts.recordLife(player.accountId, summary, died);
+    }
+    this.leaderboards?.record({
+      name: player.name,
+      accountId: player.accountId,
+      peakMass: summary.peakMass,
+      kills: summary.kills.length,
+      timeAlive: summary.timeAlive,
+      endedAt: Date.now() // Wall-clock, unlike the life's own simulation times
+    });
+  }
+
+  // Link the client's player to the account of a login token. The player carries the link,
+  // so it survives a resume and a restart from the world save
+  login(client, token) {
+    const player = client.room.world.players.get(client.playerId);
+    const account = this.accounts ? this.accounts.authenticate(token) : null;
+    if (!player || !account) return;
+    if (player.accountId) {
+      // Already linked (a resumed session); a player never changes accounts
+      return;
+    }
+    player.accountId = account.id;
+    player.setName(account.username);
+    this.parties.refresh(client);
+  }
+
+  // Account players keep their username; nobody else may take a registered name
+  canUseName(client, player, name) {
+    if (player.accountId) return false;
+    // Check what setName would store, not the raw name (it trims after cutting to length)
+    const normalized = Player.normalizeName(name);
+    if (this.accounts && normalized && this.accounts.isNameReserved(normalized)) {
+      this.chat.reply(client, `${normalized} is a registered name - log in to use it`);
+      return false;
+    }
+    return true;
+  }
+
+  getSessionPlayer(session) {
+    const room = this.rooms.getRoom(session.roomId);
+    return room ? room.world.players.get(session.playerId) : null;
+  }
+
+  getRoomsInfo() {
+    return this.rooms.getRoomInfos();
+  }
+
+  getPerfStats() {
+    return this.rooms.getPerfStats();
+  }
+
+  // Liveness: fails only when a room's game loop has stopped making progress
+  getHealth() {
+    const rooms = this.rooms.getRooms().map((room) => room.getHealth());
+    const wedged = rooms.filter((room) => room.tickLagMs > NetworkConstants.HEALTH_MAX_TICK_LAG);
+    return {
+      status: wedged.length > 0 ? 'wedged' : 'ok',
+      uptime: Math.round(process.uptime()),
+      rooms,
+      wedgedRooms: wedged.map((room) => room.id)
+    };
+  }
+
+  // Readiness: whether this server should be sent new players
+  getReadiness() {
+    const rooms = this.rooms.getRooms().map((room) => room.getHealth());
+    const maxTickLag = rooms.reduce((max, room) => Math.max(max, room.tickLagMs), 0);
+    const reasons = [];
+    if (this.draining) {
+      reasons.push('draining');
+    }
+    if (maxTickLag > NetworkConstants.READY_MAX_TICK_LAG) {
+      reasons.push(`tick lag ${maxTickLag}ms over ${NetworkConstants.READY_MAX_TICK_LAG}ms`);
+    }
+    if (this.clients.size >= NetworkConstants.MAX_CLIENTS) {
+      reasons.push(`at capacity (${this.clients.size}/${NetworkConstants.MAX_CLIENTS} clients)`);
+    }
+    return {
+      ready: reasons.length === 0,
+      reasons,
+      draining: this.draining,
+      clients: this.clients.size,
+      maxClients: NetworkConstants.MAX_CLIENTS,
+      maxTickLagMs: maxTickLag,
+      rooms
+    };
+  }
+
+  recordViolation(clientId, reason) {
+    const client = this.clients.get(clientId);
+    if (!client || client.kicked) return;
+    if (!client.violations.take()) {
+      this.kickClient(clientId, reason);
+    }
+  }
+
+  kickClient(clientId, reason) {
+    const client = this.clients.get(clientId);
+    if (!client || client.kicked) return;
+    client.kicked = true;
+    console.warn(`Disconnecting client ${clientId} (player ${client.playerId}): ${reason}`);
+    client.ws.close(1008, reason.slice(0, 120)); // 1008 = policy violation
+  }
+
   handleMessage(clientId, message) {
     const client = this.clients.get(clientId);
-    if (!client) return;
+    if (!client || client.kicked) return;
+    const world = client.room.world;
+
+    const error = validateMessage(message);
+    if (error) {
+      this.recordViolation(clientId, `Invalid ${message.type} message: ${error}`);
+      return;
+    }
+    const rateKey = message.type === 'action' ? `action:${message.action.type}` : message.type;
+    if (!client.rateLimiter.allow(rateKey)) {
+      this.recordViolation(clientId, `Rate limit exceeded for ${rateKey}`);
+      return;
+    }
 
     switch (message.type) {
       case 'input':
-        client.lastInput = message.input;
-        client.lastInputTime = Date.now();
-        this.world.handleInput(client.playerId, message.input);
-        break;
-      case 'action':
-        this.world.handleAction(client.playerId, message.action);
-        break;
-      case 'setName':
-        if (typeof message.name === 'string') {
-          const player = this.world.players.get(client.playerId);
-          if (player) {
-            player.setName(message.name);
-          }
+        // Applied one per tick in applyQueuedInputs, in sequence order
+        if (message.seq > client.lastInputSeq) {
+          client.inputQueue.push({ seq: message.seq, input: clampInput(message.input, world.config) });
+        }
+        break;
+      case 'action': {
+        // Respawning while still alive ends that life without a death; record it before it's reset
+        const player = world.players.get(client.playerId);
+        if (message.action.type === 'respawn' && player && player.cells.length > 0) {
+          this.recordLife(player, false);
+        }
+        world.handleAction(client.playerId, message.action);
+        if (message.action.type === 'respawn' && !client.session.spectator) {
+          client.spectate = null; // Back to watching our own cells
         }
         break;
+      }
+      case 'login':
+        this.login(client, message.token);
+        break;
+      case 'setName': {
+        const player = world.players.get(client.playerId);
+        if (player && this.canUseName(client, player, message.name)) {
+          player.setName(message.name);
+          this.parties.refresh(client);
+        }
+        break;
+      }
+      case 'viewport':
+        // Clamped to the server's limits in computeViewRect
+        client.viewport = {
+          width: message.width,
+          height: message.height,
+          zoom: message.zoom
+        };
+        break;
+      case 'ack':
+        // Only move the baseline forward, and only to a snapshot we actually sent
+        if (message.seq <= client.snapshotSeq && message.seq > (client.ackedSeq || 0)) {
+          client.ackedSeq = message.seq;
+        }
+        break;
+      case 'keyframeRequest':
+        // Client lost track of its baseline - next snapshot is a full keyframe
+        client.ackedSeq = null;
+        break;
       case 'ping':
         // Respond to ping immediately with the timestamp
         if (client.ws.readyState === 1) { // OPEN
-          client.ws.send(JSON.stringify({
+          this.send(client.ws, {
             type: 'pong',
-            timestamp: message.timestamp
-          }));
+            timestamp: message.timestamp,
+            serverTime: Date.now()
+          });
         }
         break;
+      case 'chat':
+        this.chat.handleMessage(client, message.channel, message.message);
+        break;
+      case 'party':
+        if (!client.session.spectator) {
+          this.parties.handleMessage(client, message.action, message.code);
+        }
+        break;
+      case 'spectate':
+        this.handleSpectate(client, message);
+        break;
       case 'keybindUpdate':
         // Store keybinds client-side only, server doesn't need them
         break;
@@ -96,79 +665,57 @@ export class GameServer {
     }
   }
 
-  startGameLoop() {
-    const TPS = 60; // Increased to 60 for smoother physics
-    const tickInterval = 1000 / TPS;
-    
-    setInterval(() => {
-      this.world.tick();
-      this.broadcastState();
-    }, tickInterval);
-  }
-
-  broadcastState() {
-    const snapshot = this.world.getSnapshot();
-    
-    // Optimize snapshot size - only send essential data
-    const optimizedSnapshot = {
-      type: 'snapshot',
-      timestamp: snapshot.timestamp,
-      players: snapshot.players.map(p => ({
-        id: p.id,
-        name: p.name,
-        score: p.score,
-        color: p.color,
-        isBot: p.isBot,
-        cells: p.cells.map(c => ({
-          id: c.id,
-          x: Math.round(c.x * 10) / 10, // Round to 1 decimal
-          y: Math.round(c.y * 10) / 10,
-          mass: Math.round(c.mass),
-          ownerId: c.ownerId
-        }))
-      })),
-      pellets: snapshot.pellets.map(p => ({
-        id: p.id,
-        x: Math.round(p.x),
-        y: Math.round(p.y),
-        mass: p.mass,
-        color: p.color
-      })),
-      viruses: snapshot.viruses.map(v => ({
-        id: v.id,
-        x: Math.round(v.x),
-        y: Math.round(v.y),
-        mass: v.mass,
-        color: v.color
-      })),
-      feedPellets: snapshot.feedPellets.map(p => ({
-        id: p.id,
-        x: Math.round(p.x * 10) / 10,
-        y: Math.round(p.y * 10) / 10,
-        mass: Math.round(p.mass)
-      })),
-      virusProjectiles: snapshot.virusProjectiles.map(p => ({
-        id: p.id,
-        x: Math.round(p.x * 10) / 10,
-        y: Math.round(p.y * 10) / 10,
-        mass: Math.round(p.mass)
-      }))
-    };
-    
-    const message = JSON.stringify(optimizedSnapshot);
+  // Spectators, and players whose cells are all gone, choose what their snapshots follow
+  handleSpectate(client, message) {
+    const world = client.room.world;
+    const player = world.players.get(client.playerId);
+    if (player && player.cells.length > 0) return;
 
-    // Batch send to all clients efficiently
-    const messageBuffer = Buffer.from(message);
-    this.clients.forEach((client) => {
-      if (client.ws.readyState === 1) { // OPEN
-        try {
-          // Send without buffering for lowest latency
-          client.ws.send(messageBuffer, { binary: false });
-        } catch (e) {
-          console.error('Error sending to client:', e);
-        }
+    switch (message.mode) {
+      case 'top':
+        client.spectate = { mode: 'top', targetId: 0 };
+        break;
+      case 'player':
+        client.spectate = { mode: 'player', targetId: message.targetId };
+        break;
+      case 'next':
+      case 'previous': {
+        const step = message.mode === 'next' ? 1 : -1;
+        client.spectate = { mode: 'player', targetId: client.room.cycleSpectateTarget(client.spectateTargetId, step) };
+        break;
       }
+      case 'free':
+        client.spectate = { mode: 'free', targetId: 0 };
+        // Without a player to follow, the view is centered here (see computeViewRect)
+        client.viewCenter = {
+          x: Math.max(0, Math.min(world.config.mapWidth, message.x)),
+          y: Math.max(0, Math.min(world.config.mapHeight, message.y))
+        };
+        break;
+    }
+  }
+
+  getClientStats() {
+    return Array.from(this.clients.entries()).map(([clientId, client]) => {
+      const player = client.room.world.players.get(client.playerId);
+      return {
+        clientId,
+        roomId: client.room.id,
+        playerId: client.playerId,
+        name: player ? player.name : null,
+        snapshotRate: Math.round(TICK_RATE / client.snapshotInterval),
+        bufferedAmount: client.ws.bufferedAmount,
+        ...client.sendStats
+      };
     });
   }
 }
 
+// The client's address: behind the platform's proxy (one hop, as in index.js) it is the last X-Forwarded-For entry
+function getClientAddress(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) {
+    return forwarded.split(',').pop().trim();
+  }
+  return req.socket.remoteAddress;
+}
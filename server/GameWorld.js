@@ -3,10 +3,17 @@ import { Pellet } from './entities/Pellet.js';
 import { Virus } from './entities/Virus.js';
 import { Player } from './entities/Player.js';
 import { Bot } from './entities/Bot.js';
-import { PhysicsConstants } from './PhysicsConstants.js';
+import { PhysicsConstants } from '../shared/PhysicsConstants.js';
+import { resolveCellOverlap } from '../shared/Movement.js';
+import { SpatialHash } from './SpatialHash.js';
+import { SimulationClock } from './SimulationClock.js';
+import { Random } from './Random.js';
+
+const GRID_CELL_SIZE = 250; // World units per spatial hash bucket
 
 export class GameWorld {
-  constructor() {
+  constructor(config = {}, clock = new SimulationClock(), random = new Random()) {
+    // Defaults, overridden per room (see RoomModes.js)
     this.config = {
       instantMerge: true,
       mergeDelayMS: 0,
@@ -18,7 +25,8 @@ export class GameWorld {
       mapHeight: 8000,
       pelletCount: 1000,
       virusCount: 20,
-      botCount: 10
+      botCount: 10,
+      ...config
     };
 
     this.players = new Map(); // playerId -> Player
@@ -27,6 +35,28 @@ export class GameWorld {
     this.feedPellets = new Map(); // feedPelletId -> {x, y, mass, vx, vy}
     this.virusProjectiles = new Map(); // projectileId -> {x, y, mass, vx, vy}
     this.nextId = 1;
+    this.clock = clock; // Advanced once per tick; entities read simulation time from it
+    this.random = random; // Every random decision in the world draws from this, so a seed replays it
+    this.profiler = null; // Optional TickProfiler, timed per phase in tick()
+    this.events = null; // Optional array that collects game events (see emit); the owner drains it
+
+    // Running totals since the world was created
+    this.stats = {
+      eats: 0, // Cells eaten by other players' cells
+      merges: 0,
+      virusPops: 0, // Cells burst by running into a virus
+      virusShots: 0, // Viruses fed until they fire a projectile
+      projectileHits: 0,
+      pelletsEaten: 0,
+      feedPelletsEaten: 0
+    };
+
+    // Spatial indexes for proximity queries, kept in sync as entities move
+    this.cellGrid = new SpatialHash(GRID_CELL_SIZE); // Rebuilt each tick once cells have moved
+    this.pelletGrid = new SpatialHash(GRID_CELL_SIZE);
+    this.virusGrid = new SpatialHash(GRID_CELL_SIZE);
+    this.feedPelletGrid = new SpatialHash(GRID_CELL_SIZE);
+    this.projectileGrid = new SpatialHash(GRID_CELL_SIZE);
 
     this.initializeWorld();
   }
@@ -50,14 +80,14 @@ export class GameWorld {
 
   createPlayer() {
     const playerId = this.nextId++;
-    const player = new Player(playerId, this.config);
+    const player = new Player(playerId, this.config, this.clock, this.random);
     this.players.set(playerId, player);
     return playerId;
   }
 
   createBot() {
     const botId = this.nextId++;
-    const bot = new Bot(botId, this.config);
+    const bot = new Bot(botId, this.config, this.clock, this.random);
     // Set bot starting mass to 1000
     if (bot.cells.length > 0) {
       bot.cells[0].mass = 1000;
@@ -77,18 +107,19 @@ export class GameWorld {
     let validPosition = false;
     
     // Try to find a position that doesn't overlap with viruses
+    const pelletRadius = this.massToRadius(8); // Pellet mass is typically 5-8 (reduced)
+    const searchRadius = this.getLargestRadius(this.viruses) + pelletRadius + 10;
     while (!validPosition && attempts < 50) {
-      x = Math.random() * this.config.mapWidth;
-      y = Math.random() * this.config.mapHeight;
+      x = this.random.next() * this.config.mapWidth;
+      y = this.random.next() * this.config.mapHeight;
       validPosition = true;
       
-      // Check collision with all viruses
-      for (const virus of this.viruses.values()) {
+      // Check collision with nearby viruses
+      for (const virus of this.virusGrid.query(x, y, searchRadius)) {
         const dx = x - virus.x;
         const dy = y - virus.y;
         const dist = Math.sqrt(dx * dx + dy * dy);
         const virusRadius = this.massToRadius(virus.mass);
-        const pelletRadius = this.massToRadius(8); // Pellet mass is typically 5-8 (reduced)
         if (dist < virusRadius + pelletRadius + 10) { // 10px buffer
           validPosition = false;
           break;
@@ -98,42 +129,69 @@ export class GameWorld {
     }
     
     // If we couldn't find a valid position after 50 attempts, just spawn anyway
-    const pellet = new Pellet(pelletId, x, y);
+    const pellet = new Pellet(pelletId, x, y, this.random);
     this.pellets.set(pelletId, pellet);
+    this.pelletGrid.insert(pellet);
     return pelletId;
   }
 
+  removePellet(pellet) {
+    this.pellets.delete(pellet.id);
+    this.pelletGrid.remove(pellet);
+  }
+
   createVirus() {
     const virusId = this.nextId++;
     const virus = new Virus(
       virusId,
-      Math.random() * this.config.mapWidth,
-      Math.random() * this.config.mapHeight
+      this.random.next() * this.config.mapWidth,
+      this.random.next() * this.config.mapHeight,
+      this.random
     );
     this.viruses.set(virusId, virus);
+    this.virusGrid.insert(virus);
     return virusId;
   }
 
+  removeVirus(virus) {
+    this.viruses.delete(virus.id);
+    this.virusGrid.remove(virus);
+  }
+
   createFeedPellet(pelletData) {
     const pelletId = this.nextId++;
-    this.feedPellets.set(pelletId, {
+    const pellet = {
       id: pelletId,
       ...pelletData,
-      createdAt: Date.now()
-    });
+      createdAt: this.clock.now()
+    };
+    this.feedPellets.set(pelletId, pellet);
+    this.feedPelletGrid.insert(pellet);
     return pelletId;
   }
 
+  removeFeedPellet(pellet) {
+    this.feedPellets.delete(pellet.id);
+    this.feedPelletGrid.remove(pellet);
+  }
+
   createVirusProjectile(projectileData) {
     const projectileId = this.nextId++;
-    this.virusProjectiles.set(projectileId, {
+    const projectile = {
       id: projectileId,
       ...projectileData,
-      createdAt: Date.now()
-    });
+      createdAt: this.clock.now()
+    };
+    this.virusProjectiles.set(projectileId, projectile);
+    this.projectileGrid.insert(projectile);
     return projectileId;
   }
 
+  removeVirusProjectile(projectile) {
+    this.virusProjectiles.delete(projectile.id);
+    this.projectileGrid.remove(projectile);
+  }
+
   handleInput(playerId, input) {
     const player = this.players.get(playerId);
     if (!player) return;
@@ -148,6 +206,7 @@ export class GameWorld {
     const player = this.players.get(playerId);
     if (!player) return;
 
+    const cellCount = player.cells.length;
     switch (action.type) {
       case 'split':
         player.split(2);
@@ -201,17 +260,81 @@ export class GameWorld {
         break;
       case 'respawn':
         player.respawn(this.config);
+        return;
+    }
+
+    // Of the remaining actions, only the splits add cells
+    if (player.cells.length > cellCount) {
+      this.emit('split', {
+        x: player.getCenterX(),
+        y: player.getCenterY(),
+        playerId: player.id,
+        pieces: player.cells.length - cellCount
+      });
+    }
+  }
+
+  /**
+   * Record a game event. Every event has a type and the world position it
+   * happened at (x, y), which decides which clients get to see it; the other
+   * fields per type are listed in GameEvents in shared/Protocol.js.
+   */
+  emit(type, event) {
+    this.recordLifeStats(type, event);
+    if (this.events) {
+      this.events.push({ type, ...event });
+    }
+  }
+
+  // Per-life player stats are driven by the same events the clients see
+  recordLifeStats(type, event) {
+    switch (type) {
+      case 'cellEaten': {
+        const eater = this.players.get(event.eaterId);
+        if (eater) eater.life.massEaten += event.mass;
+        break;
+      }
+      case 'playerKilled': {
+        const victim = this.players.get(event.playerId);
+        const killer = this.players.get(event.killerId);
+        if (killer && victim) killer.life.kills.push(victim.name);
+        if (victim) victim.endLife(killer);
+        break;
+      }
+      case 'pelletEaten': {
+        const player = this.players.get(event.playerId);
+        if (player) {
+          player.life.pelletsEaten++;
+          player.life.massEaten += event.mass;
+        }
+        break;
+      }
+      case 'split': {
+        const player = this.players.get(event.playerId);
+        if (player) player.life.splits++;
+        break;
+      }
+      case 'virusPopped': {
+        const player = this.players.get(event.playerId);
+        if (player) player.life.virusesHit++;
         break;
+      }
     }
   }
 
   tick() {
+    // One fixed step of simulation time per tick
+    this.clock.advance();
+    const profiler = this.profiler;
+    profiler?.begin();
+
     // CRITICAL: Process in correct priority order
     
     // 1. Movement integration
     this.players.forEach((player) => {
       player.tick(this);
     });
+    profiler?.mark('movement');
 
     // 2. Split travel decay (update split immunity timers)
     this.players.forEach((player) => {
@@ -222,81 +345,60 @@ export class GameWorld {
 
     // 3. Collision resolution (push-out for same-player cells)
     this.resolveCollisions();
+    profiler?.mark('collisions');
+    this.updateCellGrid();
+    profiler?.mark('cellGrid');
 
     // 4. Eating resolution (largest first)
     this.resolveEating();
+    profiler?.mark('eating');
 
     // 5. Merge checks
     this.players.forEach((player) => {
-      player.checkMerges(this.config);
+      player.checkMerges(this.config).forEach((merge) => {
+        this.stats.merges++;
+        this.emit('merge', { playerId: player.id, ...merge });
+      });
     });
+    profiler?.mark('merges');
 
     // 6. Update other entities
     this.viruses.forEach((virus) => {
-      virus.update();
+      virus.update(this.config);
+      this.virusGrid.update(virus);
     });
     this.updateFeedPellets();
     this.updateVirusProjectiles();
+    profiler?.mark('entities');
 
     // 7. Check other collisions (pellets, viruses, etc.)
     this.checkOtherCollisions();
+    profiler?.mark('pelletsAndViruses');
 
     // 8. Maintain pellet/virus counts
     this.maintainWorld();
+    profiler?.mark('maintain');
+    profiler?.end();
   }
   
   resolveCollisions() {
     // OVERLAP RESOLUTION (push-out only) - NEVER cancels eat checks
     // This only pushes cells apart physically, does not affect eating logic
+    const now = this.clock.now();
     this.players.forEach((player) => {
-      const cells = player.cells;
-      for (let i = 0; i < cells.length; i++) {
-        for (let j = i + 1; j < cells.length; j++) {
-          const cell1 = cells[i];
-          const cell2 = cells[j];
-          
-          // Skip if either cell has split immunity (they can overlap during split travel)
-          if (cell1.hasSplitImmunity() || cell2.hasSplitImmunity()) {
-            continue;
-          }
-          
-          // Skip if cells are not alive
-          if (!cell1.isAlive || !cell2.isAlive) {
-            continue;
-          }
-          
-          const dx = cell1.x - cell2.x;
-          const dy = cell1.y - cell2.y;
-          const distSq = dx * dx + dy * dy;
-          
-          if (distSq === 0) continue; // Same position
-          
-          const r1 = cell1.getRadius();
-          const r2 = cell2.getRadius();
-          const minDist = r1 + r2;
-          
-          if (distSq < minDist * minDist) {
-            // Cells are overlapping - push them apart
-            const dist = Math.sqrt(distSq);
-            const overlap = minDist - dist;
-            if (overlap > 0) {
-              // Push-out formula: normalize(A.pos - B.pos) * overlap * 0.5
-              const pushX = (dx / dist) * overlap * 0.5;
-              const pushY = (dy / dist) * overlap * 0.5;
-              
-              // Apply push-out (weighted by mass - heavier pushes less)
-              const totalMass = cell1.mass + cell2.mass;
-              const pushRatio1 = cell2.mass / totalMass;
-              const pushRatio2 = cell1.mass / totalMass;
-              
-              cell1.x += pushX * pushRatio1;
-              cell1.y += pushY * pushRatio1;
-              cell2.x -= pushX * pushRatio2;
-              cell2.y -= pushY * pushRatio2;
-            }
-          }
+      resolveCellOverlap(player.cells, now);
+    });
+  }
+
+  updateCellGrid() {
+    // Cells are created and removed all over Player, so re-index them all once they have moved
+    this.cellGrid.clear();
+    this.players.forEach((player) => {
+      player.cells.forEach((cell) => {
+        if (cell.isAlive) {
+          this.cellGrid.insert(cell);
         }
-      }
+      });
     });
   }
   
@@ -327,15 +429,16 @@ export class GameWorld {
       const eaterY = eater.cell.y;
       const eaterMass = eater.cell.mass;
       
-      // Find all potential victims (sort by distance ASC - eat closest first)
+      // Find all potential victims (sort by distance ASC - eat closest first).
+      // A victim's center must lie within the eater's base radius, so only nearby cells qualify
       const potentialVictims = [];
       
-      for (let j = 0; j < allCells.length; j++) {
-        if (i === j) continue;
-        const target = allCells[j];
-        if (eatenCellIds.has(target.cell.id)) continue; // Already eaten
-        if (!target.cell.isAlive) continue; // Not alive
-        if (eater.player.id === target.player.id) continue; // Same owner - can't eat own cells
+      for (const targetCell of this.cellGrid.query(eaterX, eaterY, eaterBaseRadius)) {
+        if (eatenCellIds.has(targetCell.id)) continue; // Already eaten
+        if (!targetCell.isAlive) continue; // Not alive
+        if (eater.player.id === targetCell.ownerId) continue; // Same owner - can't eat own cells
+        const target = { cell: targetCell, player: this.players.get(targetCell.ownerId) };
+        if (!target.player) continue;
         
         const targetBaseRadius = target.cell.getBaseRadius();
         const targetMass = target.cell.mass;
@@ -377,6 +480,24 @@ export class GameWorld {
         victim.cell.isAlive = false;
         victim.player.removeCell(victim.cell.id);
         eatenCellIds.add(victim.cell.id);
+        this.stats.eats++;
+        this.emit('cellEaten', {
+          x: victim.cell.x,
+          y: victim.cell.y,
+          eaterId: eater.player.id,
+          eaterCellId: eater.cell.id,
+          victimId: victim.player.id,
+          victimCellId: victim.cell.id,
+          mass: victim.cell.mass
+        });
+        if (victim.player.cells.length === 0) {
+          this.emit('playerKilled', {
+            x: victim.cell.x,
+            y: victim.cell.y,
+            playerId: victim.player.id,
+            killerId: eater.player.id
+          });
+        }
         
         // Cancel velocities on eater (smooth stop after eating)
         eater.cell.vx = 0;
@@ -387,8 +508,8 @@ export class GameWorld {
   
 
   updateFeedPellets() {
-    const now = Date.now();
-    this.feedPellets.forEach((pellet, pelletId) => {
+    const now = this.clock.now();
+    this.feedPellets.forEach((pellet) => {
       // Update position
       pellet.x += pellet.vx;
       pellet.y += pellet.vy;
@@ -399,14 +520,16 @@ export class GameWorld {
 
       // Remove old feed pellets (after 5 seconds)
       if (now - pellet.createdAt > 5000) {
-        this.feedPellets.delete(pelletId);
+        this.removeFeedPellet(pellet);
+      } else {
+        this.feedPelletGrid.update(pellet);
       }
     });
   }
 
   updateVirusProjectiles() {
-    const now = Date.now();
-    this.virusProjectiles.forEach((projectile, projectileId) => {
+    const now = this.clock.now();
+    this.virusProjectiles.forEach((projectile) => {
       // Update position
       projectile.x += projectile.vx;
       projectile.y += projectile.vy;
@@ -417,12 +540,19 @@ export class GameWorld {
 
       // Remove old projectiles (after 3 seconds)
       if (now - projectile.createdAt > 3000) {
-        this.virusProjectiles.delete(projectileId);
+        this.removeVirusProjectile(projectile);
+      } else {
+        this.projectileGrid.update(projectile);
       }
     });
   }
 
   checkOtherCollisions() {
+    // Query radii must cover the largest entity of each kind
+    const largestVirusRadius = this.getLargestRadius(this.viruses);
+    const largestProjectileRadius = this.getLargestRadius(this.virusProjectiles);
+    const largestFeedPelletRadius = this.getLargestRadius(this.feedPellets);
+
     // Player vs Pellets (optimized with early distance check)
     this.players.forEach((player) => {
       player.cells.forEach((cell) => {
@@ -431,7 +561,7 @@ export class GameWorld {
         const cellY = cell.y;
         
         // Only check pellets within reasonable distance (optimization)
-        this.pellets.forEach((pellet, pelletId) => {
+        this.pelletGrid.query(cellX, cellY, cellRadius + 20).forEach((pellet) => {
           const dx = cellX - pellet.x;
           const dy = cellY - pellet.y;
           const distSq = dx * dx + dy * dy;
@@ -442,13 +572,22 @@ export class GameWorld {
           
           if (this.isColliding(cell, pellet)) {
             cell.mass += pellet.mass;
-            this.pellets.delete(pelletId);
+            this.stats.pelletsEaten++;
+            this.emit('pelletEaten', {
+              x: pellet.x,
+              y: pellet.y,
+              playerId: player.id,
+              cellId: cell.id,
+              feed: false,
+              mass: pellet.mass
+            });
+            this.removePellet(pellet);
             this.createPellet(); // Respawn
           }
         });
 
         // Player vs Feed Pellets (optimized with early distance check)
-        this.feedPellets.forEach((feedPellet, feedPelletId) => {
+        this.feedPelletGrid.query(cellX, cellY, cellRadius + 30).forEach((feedPellet) => {
           const dx = cellX - feedPellet.x;
           const dy = cellY - feedPellet.y;
           const distSq = dx * dx + dy * dy;
@@ -460,7 +599,16 @@ export class GameWorld {
           if (this.isColliding(cell, feedPellet)) {
             // Feed pellets are worth more than regular pellets (2.5x value for feeding mechanics)
             cell.mass += feedPellet.mass * 2.5;
-            this.feedPellets.delete(feedPelletId);
+            this.stats.feedPelletsEaten++;
+            this.emit('pelletEaten', {
+              x: feedPellet.x,
+              y: feedPellet.y,
+              playerId: player.id,
+              cellId: cell.id,
+              feed: true,
+              mass: feedPellet.mass * 2.5
+            });
+            this.removeFeedPellet(feedPellet);
           }
         });
       });
@@ -482,7 +630,7 @@ export class GameWorld {
         const cellY = cell.y;
         let cellHandled = false; // Flag to track if cell was handled by virus collision
         
-        this.viruses.forEach((virus, virusId) => {
+        this.virusGrid.query(cellX, cellY, cellRadius + largestVirusRadius).forEach((virus) => {
           // Skip if cell was already handled
           if (cellHandled) return;
           
@@ -544,11 +692,13 @@ export class GameWorld {
                 const offsetY = Math.sin(angle) * spacing;
                 
                 const newCell = new Cell(
-                  Date.now() * 1000 + Math.floor(Math.random() * 1000) + i,
+                  this.random.id(),
                   cellX + offsetX,
                   cellY + offsetY,
                   massPerPiece,
-                  player.id
+                  player.id,
+                  this.clock,
+                  this.random
                 );
                 
                 // Apply clean radial burst impulse (no speed boost, just clean separation)
@@ -559,8 +709,8 @@ export class GameWorld {
                 newCell.vy = radialDirY * impulseSpeed + cellVy * 0.2;
                 newCell.setInstantMerge(player.config.instantMerge);
                 newCell.setState(CellState.SPLIT_TRAVEL);
-                newCell.splitTime = Date.now();
-                newCell.splitImmunityUntil = Date.now() + PhysicsConstants.SPLIT_IMMUNITY_DURATION;
+                newCell.splitTime = this.clock.now();
+                newCell.splitImmunityUntil = this.clock.now() + PhysicsConstants.SPLIT_IMMUNITY_DURATION;
                 newCell.splitDirectionX = radialDirX;
                 newCell.splitDirectionY = radialDirY;
                 
@@ -573,7 +723,9 @@ export class GameWorld {
                 cellX,
                 cellY,
                 totalMass,
-                player.id
+                player.id,
+                this.clock,
+                this.random
               );
               remainingCell.vx = cellVx;
               remainingCell.vy = cellVy;
@@ -582,7 +734,16 @@ export class GameWorld {
             }
             
             // Remove and respawn virus
-            this.viruses.delete(virusId);
+            this.stats.virusPops++;
+            this.emit('virusPopped', {
+              x: virus.x,
+              y: virus.y,
+              playerId: player.id,
+              cellId,
+              virusId: virus.id,
+              pieces: pieceCount >= 2 ? pieceCount : 1
+            });
+            this.removeVirus(virus);
             this.createVirus();
             
             // Mark cell as handled to avoid processing same cell multiple times
@@ -591,9 +752,11 @@ export class GameWorld {
         });
 
         // Player vs Virus Projectiles
-        this.virusProjectiles.forEach((projectile, projectileId) => {
+        const projectileSearchRadius = this.massToRadius(cell.mass) + largestProjectileRadius;
+        this.projectileGrid.query(cellX, cellY, projectileSearchRadius).forEach((projectile) => {
           if (this.isColliding(cell, projectile)) {
-            if (cell.mass > this.config.virusMassThreshold) {
+            const exploded = cell.mass > this.config.virusMassThreshold;
+            if (exploded) {
               // Projectile explodes large cell - use cell's velocity direction
               const velLength = Math.sqrt(cell.vx * cell.vx + cell.vy * cell.vy);
               if (velLength > 0.1) {
@@ -609,7 +772,7 @@ export class GameWorld {
                   player.splitIntoEvenPieces(16, dirX, dirY, 1.2); // 120% impulse for virus projectile splits - strong separation
                 } else {
                   // Fallback: split in random direction
-                  const angle = Math.random() * Math.PI * 2;
+                  const angle = this.random.next() * Math.PI * 2;
                   const dirX = Math.cos(angle);
                   const dirY = Math.sin(angle);
                   player.splitIntoEvenPieces(16, dirX, dirY, 0.5);
@@ -620,7 +783,16 @@ export class GameWorld {
               // Small cell eats projectile
               cell.mass += projectile.mass;
             }
-            this.virusProjectiles.delete(projectileId);
+            this.stats.projectileHits++;
+            this.emit('projectileHit', {
+              x: projectile.x,
+              y: projectile.y,
+              playerId: player.id,
+              cellId: cell.id,
+              exploded,
+              mass: projectile.mass
+            });
+            this.removeVirusProjectile(projectile);
           }
         });
       });
@@ -630,12 +802,13 @@ export class GameWorld {
     // This allows players to feed themselves and others with the same collision logic
 
     // Feed Pellets vs Viruses (shooting viruses)
-    this.feedPellets.forEach((feedPellet, feedPelletId) => {
-      this.viruses.forEach((virus, virusId) => {
+    this.viruses.forEach((virus) => {
+      const searchRadius = this.massToRadius(virus.mass) + largestFeedPelletRadius;
+      this.feedPelletGrid.query(virus.x, virus.y, searchRadius).forEach((feedPellet) => {
         if (this.isColliding(feedPellet, virus)) {
           // Feed pellet hits virus
           const shouldPop = virus.feed(feedPellet.mass);
-          this.feedPellets.delete(feedPelletId);
+          this.removeFeedPellet(feedPellet);
 
           if (shouldPop) {
             // Calculate direction from virus to where pellet came from
@@ -646,7 +819,9 @@ export class GameWorld {
             const dirY = dist > 0 ? dy / dist : 0;
 
             // Virus pops and shoots projectile
-            const projectile = virus.pop(dirX, dirY);
+            const projectile = virus.pop(dirX, dirY, this.config);
+            this.stats.virusShots++;
+            this.virusGrid.update(virus); // Popped viruses respawn elsewhere
             if (projectile) {
               this.createVirusProjectile(projectile);
             }
@@ -667,6 +842,14 @@ export class GameWorld {
     return dist < r1 + r2;
   }
 
+  getLargestRadius(entities) {
+    let largest = 0;
+    entities.forEach((entity) => {
+      largest = Math.max(largest, this.massToRadius(entity.mass));
+    });
+    return largest;
+  }
+
   massToRadius(mass) {
     // Match the cell radius calculation - faster scaling for larger cells
     const baseRadius = Math.sqrt(mass / Math.PI);
@@ -731,13 +914,88 @@ export class GameWorld {
     });
 
     return {
-      timestamp: Date.now(),
+      tick: this.clock.tick,
       players,
       pellets,
       viruses,
       feedPellets,
-      virusProjectiles
+      virusProjectiles,
+      playerCount: this.players.size,
+      leaderboard: this.getLeaderboard()
+    };
+  }
+
+  /**
+   * Plain-data copy of the whole world for persistence (see WorldStore).
+   * The config is not included: a restored world keeps its room's current one.
+   */
+  save() {
+    return {
+      clock: { startTime: this.clock.startTime, tick: this.clock.tick },
+      random: { seed: this.random.seed, state: this.random.state },
+      nextId: this.nextId,
+      stats: { ...this.stats },
+      players: Array.from(this.players.values()).map((player) => player.save()),
+      pellets: Array.from(this.pellets.values()).map((pellet) => pellet.save()),
+      viruses: Array.from(this.viruses.values()).map((virus) => virus.save()),
+      feedPellets: Array.from(this.feedPellets.values()).map((pellet) => ({ ...pellet })),
+      virusProjectiles: Array.from(this.virusProjectiles.values()).map((projectile) => ({ ...projectile }))
     };
   }
+
+  // Replace everything in the world with the state from save()
+  load(data) {
+    this.clock.startTime = data.clock.startTime;
+    this.clock.tick = data.clock.tick;
+    this.nextId = data.nextId;
+    Object.assign(this.stats, data.stats);
+
+    this.players.clear();
+    this.pellets.clear();
+    this.viruses.clear();
+    this.feedPellets.clear();
+    this.virusProjectiles.clear();
+    this.pelletGrid.clear();
+    this.virusGrid.clear();
+    this.feedPelletGrid.clear();
+    this.projectileGrid.clear();
+
+    data.players.forEach((playerData) => {
+      const PlayerClass = playerData.isBot ? Bot : Player;
+      this.players.set(playerData.id, PlayerClass.restore(playerData, this.config, this.clock, this.random));
+    });
+    data.pellets.forEach((pelletData) => {
+      const pellet = Pellet.restore(pelletData, this.random);
+      this.pellets.set(pellet.id, pellet);
+      this.pelletGrid.insert(pellet);
+    });
+    data.viruses.forEach((virusData) => {
+      const virus = Virus.restore(virusData, this.random);
+      this.viruses.set(virus.id, virus);
+      this.virusGrid.insert(virus);
+    });
+    data.feedPellets.forEach((pelletData) => {
+      const pellet = { ...pelletData };
+      this.feedPellets.set(pellet.id, pellet);
+      this.feedPelletGrid.insert(pellet);
+    });
+    data.virusProjectiles.forEach((projectileData) => {
+      const projectile = { ...projectileData };
+      this.virusProjectiles.set(projectile.id, projectile);
+      this.projectileGrid.insert(projectile);
+    });
+    this.updateCellGrid();
+
+    // Rebuilding entities drew from the PRNG - put it back where the save left it
+    this.random.seed = data.random.seed;
+    this.random.state = data.random.state;
+  }
+
+  getLeaderboard(limit = 10) {
+    return Array.from(this.players.values())
+      .map(player => ({ id: player.id, name: player.name, score: player.score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
 }
 
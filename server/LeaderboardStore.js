@@ -0,0 +1,140 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+
+// Bump when the layout of the leaderboards file changes; older files are ignored
+const SAVE_VERSION = 1;
+const SAVE_DELAY = 1000; // Changes are batched into one write at most this often (ms)
+const MAX_ENTRIES = 100; // Per table
+const DAY = 24 * 60 * 60 * 1000;
+const PERIODS = ['daily', 'weekly', 'allTime'];
+
+/**
+ * Best lives of human players, ranked by peak mass, in daily, weekly and
+ * all-time tables kept in one JSON file. Daily and weekly tables start over
+ * at UTC midnight and on UTC Monday. A registered player holds at most one
+ * entry per table (their best); every guest life is its own entry.
+ */
+export class LeaderboardStore {
+  constructor(path) {
+    this.path = path || null;
+    this.tables = {}; // period -> {key, entries}
+    PERIODS.forEach((period) => {
+      this.tables[period] = { key: getPeriodKey(period, Date.now()), entries: [] };
+    });
+    this.saveTimer = null;
+    this.load();
+  }
+
+  // A finished life: {name, accountId, peakMass, kills, timeAlive, endedAt}
+  record(life) {
+    const entry = {
+      name: life.name,
+      accountId: life.accountId || null,
+      peakMass: life.peakMass,
+      kills: life.kills,
+      timeAlive: life.timeAlive,
+      endedAt: life.endedAt
+    };
+    PERIODS.forEach((period) => {
+      const table = this.getTable(period, entry.endedAt);
+      if (entry.accountId) {
+        const index = table.entries.findIndex((other) => other.accountId === entry.accountId);
+        if (index !== -1) {
+          if (table.entries[index].peakMass >= entry.peakMass) return;
+          table.entries.splice(index, 1);
+        }
+      }
+      const last = table.entries[MAX_ENTRIES - 1];
+      if (last && compareEntries(entry, last) >= 0) return;
+      table.entries.push(entry);
+      table.entries.sort(compareEntries);
+      table.entries.length = Math.min(table.entries.length, MAX_ENTRIES);
+    });
+    this.scheduleSave();
+  }
+
+  // The top `limit` entries of every table, ranked
+  getTables(limit = 10) {
+    const now = Date.now();
+    const tables = {};
+    PERIODS.forEach((period) => {
+      const table = this.getTable(period, now);
+      tables[period] = {
+        period: table.key,
+        entries: table.entries.slice(0, limit).map((entry, index) => ({
+          rank: index + 1,
+          name: entry.name,
+          registered: entry.accountId !== null,
+          peakMass: entry.peakMass,
+          kills: entry.kills,
+          timeAlive: entry.timeAlive,
+          endedAt: entry.endedAt
+        }))
+      };
+    });
+    return tables;
+  }
+
+  // The table for the period `time` falls in, emptied if that period has just started
+  getTable(period, time) {
+    const key = getPeriodKey(period, time);
+    const table = this.tables[period];
+    if (table.key !== key) {
+      table.key = key;
+      table.entries = [];
+    }
+    return table;
+  }
+
+  scheduleSave() {
+    if (!this.path || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+  }
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.path) return;
+    try {
+      mkdirSync(dirname(this.path), { recursive: true });
+      // Write then rename, so a crash mid-write never leaves a truncated file
+      const tempPath = `${this.path}.tmp`;
+      writeFileSync(tempPath, JSON.stringify({ version: SAVE_VERSION, tables: this.tables }));
+      renameSync(tempPath, this.path);
+    } catch (e) {
+      console.error(`Error saving leaderboards to ${this.path}:`, e);
+    }
+  }
+
+  load() {
+    if (!this.path || !existsSync(this.path)) return;
+    try {
+      const state = JSON.parse(readFileSync(this.path, 'utf8'));
+      if (state.version !== SAVE_VERSION) {
+        console.warn(`Ignoring leaderboards ${this.path}: version ${state.version}, expected ${SAVE_VERSION}`);
+        return;
+      }
+      PERIODS.forEach((period) => {
+        if (state.tables[period]) this.tables[period] = state.tables[period];
+      });
+    } catch (e) {
+      console.error(`Error reading leaderboards ${this.path}:`, e);
+    }
+  }
+}
+
+// Highest peak mass first; on a tie, whoever got there first
+function compareEntries(a, b) {
+  return b.peakMass - a.peakMass || a.endedAt - b.endedAt;
+}
+
+// UTC date of the day ('daily') or of the Monday starting the week ('weekly')
+function getPeriodKey(period, time) {
+  if (period === 'allTime') return 'all';
+  const date = new Date(time);
+  if (period === 'weekly') {
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return new Date(time - daysSinceMonday * DAY).toISOString().slice(0, 10);
+  }
+  return date.toISOString().slice(0, 10);
+}
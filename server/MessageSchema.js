@@ -0,0 +1,124 @@
+import { NetworkConstants } from './NetworkConstants.js';
+
+/**
+ * Schemas for every message a client may send. The binary protocol already
+ * fixes field types and sizes, so these check what it can't: non-finite
+ * floats, value ranges, string lengths, and server-only message types.
+ */
+
+const finite = { kind: 'number' };
+const uint32 = { kind: 'number', integer: true, min: 0, max: 0xffffffff };
+
+const MessageSchemas = {
+  input: {
+    seq: { kind: 'number', integer: true, min: 1, max: 0xffffffff },
+    input: {
+      kind: 'object',
+      fields: {
+        dirX: finite,
+        dirY: finite,
+        cursorX: finite,
+        cursorY: finite
+      }
+    }
+  },
+  action: {
+    action: {
+      kind: 'object',
+      fields: {
+        type: { kind: 'string', maxLength: 16 }
+      }
+    }
+  },
+  ping: {
+    timestamp: finite
+  },
+  setName: {
+    name: { kind: 'string', maxLength: NetworkConstants.MAX_NAME_LENGTH }
+  },
+  viewport: {
+    width: { kind: 'number', integer: true, min: 1, max: 65535 },
+    height: { kind: 'number', integer: true, min: 1, max: 65535 },
+    zoom: { kind: 'number', min: 0.01, max: 1000 }
+  },
+  ack: {
+    seq: uint32
+  },
+  keyframeRequest: {},
+  chat: {
+    channel: { kind: 'string', maxLength: 16 },
+    message: { kind: 'string', maxLength: NetworkConstants.CHAT_MAX_LENGTH }
+  },
+  party: {
+    action: { kind: 'string', maxLength: 16 },
+    code: { kind: 'string', maxLength: 16 }
+  },
+  spectate: {
+    mode: { kind: 'string', maxLength: 16 },
+    targetId: uint32,
+    x: finite,
+    y: finite
+  },
+  login: {
+    token: { kind: 'string', maxLength: 128 }
+  }
+};
+
+function checkValue(spec, value, path) {
+  switch (spec.kind) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} is not a finite number`;
+      if (spec.integer && !Number.isInteger(value)) return `${path} is not an integer`;
+      if (spec.min !== undefined && value < spec.min) return `${path} is below ${spec.min}`;
+      if (spec.max !== undefined && value > spec.max) return `${path} is above ${spec.max}`;
+      return null;
+    case 'string':
+      if (typeof value !== 'string') return `${path} is not a string`;
+      if (value.length > spec.maxLength) return `${path} is longer than ${spec.maxLength}`;
+      return null;
+    case 'object':
+      if (!value || typeof value !== 'object') return `${path} is not an object`;
+      return checkFields(spec.fields, value, `${path}.`);
+    default:
+      return `${path} has an unknown schema kind`;
+  }
+}
+
+function checkFields(fields, value, prefix) {
+  for (const [name, spec] of Object.entries(fields)) {
+    const error = checkValue(spec, value[name], prefix + name);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Returns null for a valid client message, otherwise why it was rejected.
+ */
+export function validateMessage(message) {
+  const schema = MessageSchemas[message.type];
+  if (!schema) return `unexpected message type ${message.type}`;
+  return checkFields(schema, message, '');
+}
+
+/**
+ * Clamp a validated input to what a real client can produce: a direction of
+ * at most unit length and a cursor near the map.
+ */
+export function clampInput(input, config) {
+  let dirX = input.dirX;
+  let dirY = input.dirY;
+  const magnitude = Math.sqrt(dirX * dirX + dirY * dirY);
+  if (magnitude > 1) {
+    dirX /= magnitude;
+    dirY /= magnitude;
+  }
+
+  const margin = NetworkConstants.CURSOR_MAP_MARGIN;
+  return {
+    dirX,
+    dirY,
+    cursorX: Math.max(-margin, Math.min(config.mapWidth + margin, input.cursorX)),
+    cursorY: Math.max(-margin, Math.min(config.mapHeight + margin, input.cursorY))
+  };
+}
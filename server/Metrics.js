@@ -0,0 +1,115 @@
+/**
+ * Minimal metrics registry rendered in the Prometheus text exposition format.
+ * Counters and histograms are updated as things happen; gauges are read from
+ * a collect callback at scrape time.
+ */
+export class Metrics {
+  constructor(prefix = '') {
+    this.prefix = prefix;
+    this.families = []; // In registration order, which is also output order
+  }
+
+  counter(name, help) {
+    const metric = new Counter();
+    this.families.push({ name: this.prefix + name, help, type: 'counter', metric });
+    return metric;
+  }
+
+  histogram(name, help, buckets) {
+    const metric = new Histogram(buckets);
+    this.families.push({ name: this.prefix + name, help, type: 'histogram', metric });
+    return metric;
+  }
+
+  // collect() returns a number, or an array of {labels, value} for labelled gauges
+  gauge(name, help, collect) {
+    this.families.push({ name: this.prefix + name, help, type: 'gauge', metric: { collect } });
+  }
+
+  render() {
+    const lines = [];
+    this.families.forEach(({ name, help, type, metric }) => {
+      lines.push(`# HELP ${name} ${help}`);
+      lines.push(`# TYPE ${name} ${type}`);
+      if (type === 'histogram') {
+        metric.render(name, lines);
+        return;
+      }
+      const samples = type === 'gauge' ? metric.collect() : metric.getSamples();
+      if (typeof samples === 'number') {
+        lines.push(`${name} ${formatValue(samples)}`);
+        return;
+      }
+      samples.forEach(({ labels, value }) => {
+        lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+      });
+    });
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+class Counter {
+  constructor() {
+    this.values = new Map(); // Serialized labels -> {labels, value}
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = formatLabels(labels);
+    const sample = this.values.get(key);
+    if (sample) {
+      sample.value += amount;
+    } else {
+      this.values.set(key, { labels, value: amount });
+    }
+  }
+
+  getSamples() {
+    // An unlabelled counter reads 0 before its first increment
+    return this.values.size > 0 ? Array.from(this.values.values()) : [{ labels: {}, value: 0 }];
+  }
+}
+
+class Histogram {
+  constructor(buckets) {
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.counts = new Array(this.buckets.length).fill(0); // Per bucket, not cumulative
+    this.count = 0;
+    this.sum = 0;
+  }
+
+  observe(value) {
+    const index = this.buckets.findIndex((bound) => value <= bound);
+    if (index !== -1) {
+      this.counts[index]++;
+    }
+    this.count++;
+    this.sum += value;
+  }
+
+  render(name, lines) {
+    let cumulative = 0;
+    this.buckets.forEach((bound, index) => {
+      cumulative += this.counts[index];
+      lines.push(`${name}_bucket{le="${bound}"} ${cumulative}`);
+    });
+    lines.push(`${name}_bucket{le="+Inf"} ${this.count}`);
+    lines.push(`${name}_sum ${formatValue(this.sum)}`);
+    lines.push(`${name}_count ${this.count}`);
+  }
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(String(value))}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function escapeLabel(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
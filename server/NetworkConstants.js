@@ -0,0 +1,93 @@
+/**
+ * Centralized networking constants for the game server
+ * Snapshot culling and other per-client network limits are defined here
+ */
+
+export const NetworkConstants = {
+  // Area of interest (per-client snapshot culling)
+  VIEW_DEFAULT_WIDTH: 1920, // Assumed screen size until the client reports its viewport
+  VIEW_DEFAULT_HEIGHT: 1080,
+  VIEW_MAX_SCREEN_WIDTH: 3840, // Reported screen sizes are clamped to 4K
+  VIEW_MAX_SCREEN_HEIGHT: 2160,
+  VIEW_MIN_ZOOM: 0.5, // Matches GameClient.minZoom - smaller zoom = larger view
+  VIEW_MAX_ZOOM: 30.0,
+  VIEW_BASE_HALF_EXTENT: 2000, // Max half-width/height of a view in world units...
+  VIEW_RADIUS_EXTENT_FACTOR: 4, // ...plus this many times the player's largest cell radius
+  VIEW_MARGIN: 150, // Extra world units around the view so entities don't pop in at the edge
+  MAX_PENDING_EVENTS: 512, // Game events buffered for a client whose snapshots are being skipped (oldest dropped)
+
+  // Backpressure (per-client send budget, measured by ws.bufferedAmount)
+  SEND_BUFFER_SOFT_LIMIT: 64 * 1024, // Above this, skip the snapshot (the next delta covers it)
+  SEND_BUFFER_HARD_LIMIT: 1024 * 1024, // Above this, drop the connection (the session stays resumable)
+  SNAPSHOT_INTERVAL_MAX: 4, // Lagging clients get a snapshot every N ticks at most (60 -> 15 Hz)
+  LAG_SKIPS_TO_SLOW_DOWN: 5, // Skips without a clean stretch in between before lowering the rate
+  CLEAN_SENDS_TO_SPEED_UP: 60, // Consecutive sends under the soft limit before raising the rate again
+
+  // Session resume
+  RESUME_GRACE_PERIOD: 30000, // How long a disconnected player's cells stay in the world (ms)
+
+  // Persistence
+  PERSIST_INTERVAL: 30000, // How often worlds are saved to disk (ms); they are also saved on shutdown
+
+  // Shutdown
+  SHUTDOWN_COUNTDOWN: 10000, // Warning clients get before a draining server closes their sockets (ms)
+
+  // Rooms
+  ROOM_GC_INTERVAL: 10000, // How often empty rooms are looked for (ms)
+  ROOM_IDLE_TIMEOUT: 30000, // Empty rooms are closed after this long, so a quick rejoin finds the same room (ms)
+  MAX_ROOMS: 16, // Every room runs its own tick loop; joins that would create more are refused
+  MAX_NAMED_ROOMS: 8, // Of those, rooms created by name (?room=<mode>-<name>), so they can't crowd out matchmaking
+
+  // Health checks (/healthz, /readyz)
+  READY_MAX_TICK_LAG: 250, // Not ready while any room's simulation is further behind than this (ms)
+  HEALTH_MAX_TICK_LAG: 5000, // Past this the game loop counts as wedged and /healthz fails (ms)
+  MAX_CLIENTS: 500, // Not ready for new players at this many connections (matches fly.toml's soft limit)
+
+  // Client input (one input is simulated per tick)
+  INPUT_QUEUE_MAX: 8, // Inputs buffered beyond this are collapsed so a fast client can't build up lag
+
+  // Message validation
+  MAX_NAME_LENGTH: 64, // Longer setName strings are rejected (Player trims names to 20 anyway)
+  CURSOR_MAP_MARGIN: 2000, // Cursor positions are clamped to the map plus this margin
+
+  // Chat
+  CHAT_MAX_LENGTH: 200, // Matches the chat input's maxlength; longer messages are rejected
+  CHAT_BURST: 5, // Messages a player can send back to back...
+  CHAT_REFILL_PER_SECOND: 0.5, // ...then one every two seconds; over that they're told to slow down
+  CHAT_DEFAULT_MUTE_MINUTES: 10, // /mute without a duration
+  MOD_LOGIN_MAX_FAILURES: 5, // Wrong /mod keys from one address before it is locked out...
+  MOD_LOGIN_LOCKOUT: 15 * 60 * 1000, // ...for this long (ms)
+
+  // Parties
+  PARTY_MAX_SIZE: 8,
+  PARTY_CODE_LENGTH: 6,
+  PARTY_GRACE_PERIOD: 30000, // How long a disconnected member keeps its place in the party (ms)
+
+  // Per-client token buckets, keyed by message type or `action:<type>`.
+  // Action limits sit above keyboard auto-repeat (~30/s) so holding a key is never abuse
+  RATE_LIMITS: {
+    input: { capacity: 120, refillPerSecond: 75 }, // One per tick (60/s) plus jitter
+    ack: { capacity: 120, refillPerSecond: 75 }, // One per snapshot
+    ping: { capacity: 10, refillPerSecond: 5 },
+    setName: { capacity: 5, refillPerSecond: 1 },
+    viewport: { capacity: 30, refillPerSecond: 20 },
+    keyframeRequest: { capacity: 5, refillPerSecond: 2 },
+    chat: { capacity: 10, refillPerSecond: 2 }, // Well above the chat limit, which only drops messages
+    party: { capacity: 5, refillPerSecond: 1 },
+    spectate: { capacity: 30, refillPerSecond: 20 }, // Free-roam camera updates at ~10/s plus key presses
+    login: { capacity: 5, refillPerSecond: 1 }, // Once per connection
+    'action:split': { capacity: 35, refillPerSecond: 35 },
+    'action:doubleSplit': { capacity: 35, refillPerSecond: 35 },
+    'action:tripleSplit': { capacity: 35, refillPerSecond: 35 },
+    'action:split16': { capacity: 35, refillPerSecond: 35 },
+    'action:split32': { capacity: 35, refillPerSecond: 35 },
+    'action:feed': { capacity: 35, refillPerSecond: 35 },
+    'action:macroFeed': { capacity: 35, refillPerSecond: 35 },
+    'action:stop': { capacity: 35, refillPerSecond: 35 },
+    'action:respawn': { capacity: 35, refillPerSecond: 35 }
+  },
+
+  // Rejected messages (invalid or over a rate limit) drain this bucket; empty = disconnect
+  VIOLATION_BURST: 50,
+  VIOLATION_REFILL_PER_SECOND: 5
+};
@@ -0,0 +1,212 @@
+import { randomBytes, randomInt } from 'crypto';
+import { NetworkConstants } from './NetworkConstants.js';
+
+// Party codes skip look-alike characters (0/O, 1/I/L) so they are easy to read out
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * Parties of players who play together: created with a short code that
+ * friends join by, they share party chat, land in the leader's room and see
+ * each other on the minimap.
+ *
+ * Members are keyed by a secret member key the client passes back on every
+ * connection (`?party=<key>`), so membership outlives a reconnect or a room
+ * switch. A member who stays away for PARTY_GRACE_PERIOD is dropped.
+ */
+export class PartyManager {
+  constructor(server) {
+    this.server = server; // For its clients, send() and chat replies
+    this.parties = new Map(); // code -> {code, leaderKey, roomId, members: Map(key -> member)}
+    this.members = new Map(); // member key -> {key, party, playerId, roomId, clientId, name, expiryTimer}
+  }
+
+  handleMessage(client, action, code) {
+    switch (action) {
+      case 'create':
+        this.leave(client);
+        this.addMember(client, this.createParty(client.room.id));
+        break;
+      case 'join': {
+        const party = this.parties.get(code.trim().toUpperCase());
+        if (!party) {
+          this.server.chat.reply(client, `No party with code ${code}`);
+          return;
+        }
+        if (party === client.party) return;
+        if (party.members.size >= NetworkConstants.PARTY_MAX_SIZE) {
+          this.server.chat.reply(client, 'That party is full');
+          return;
+        }
+        this.leave(client);
+        this.addMember(client, party);
+        break;
+      }
+      case 'leave':
+        this.leave(client);
+        break;
+    }
+  }
+
+  createParty(roomId) {
+    let code;
+    do {
+      code = Array.from({ length: NetworkConstants.PARTY_CODE_LENGTH }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join('');
+    } while (this.parties.has(code));
+    const party = { code, leaderKey: null, roomId, members: new Map() };
+    this.parties.set(code, party);
+    return party;
+  }
+
+  addMember(client, party) {
+    const member = {
+      key: randomBytes(16).toString('hex'),
+      party,
+      playerId: client.playerId,
+      roomId: client.room.id,
+      clientId: null,
+      name: '',
+      expiryTimer: null
+    };
+    party.members.set(member.key, member);
+    this.members.set(member.key, member);
+    if (!party.leaderKey) {
+      party.leaderKey = member.key;
+    }
+    this.attachClient(client, member);
+    this.broadcast(party);
+  }
+
+  // Called for every new connection; reconnects and room switches pass their member key back
+  attach(client, key) {
+    const member = key ? this.members.get(key) : null;
+    if (!member) {
+      // A stale key (party gone, or dropped while away): tell the client it's on its own
+      if (key) this.sendState(client, null);
+      return;
+    }
+    // The key may still be in use by a half-open connection that's about to close
+    const previous = member.clientId ? this.server.clients.get(member.clientId) : null;
+    if (previous && previous !== client) {
+      previous.party = null;
+      previous.partyMember = null;
+    }
+    this.attachClient(client, member);
+    this.broadcast(member.party);
+  }
+
+  attachClient(client, member) {
+    clearTimeout(member.expiryTimer);
+    member.expiryTimer = null;
+    member.clientId = client.clientId;
+    member.playerId = client.playerId;
+    member.roomId = client.room.id;
+    member.name = this.getName(client);
+    client.party = member.party;
+    client.partyMember = member;
+    // The leader's room is where the party plays
+    if (member.party.leaderKey === member.key) {
+      member.party.roomId = member.roomId;
+    }
+  }
+
+  // The room a reconnecting member should join: its leader's, unless it is the leader
+  getRoomFor(key) {
+    const member = key ? this.members.get(key) : null;
+    if (!member || member.party.leaderKey === member.key) return null;
+    return member.party.roomId;
+  }
+
+  // Connection closed: keep the place in the party for a while in case the client comes back
+  detach(client) {
+    const member = client.partyMember;
+    if (!member || member.clientId !== client.clientId) return;
+    member.clientId = null;
+    member.expiryTimer = setTimeout(() => this.removeMember(member), NetworkConstants.PARTY_GRACE_PERIOD);
+    this.broadcast(member.party);
+  }
+
+  leave(client) {
+    const member = client.partyMember;
+    if (!member) return;
+    this.removeMember(member);
+    this.sendState(client, null);
+  }
+
+  removeMember(member) {
+    clearTimeout(member.expiryTimer);
+    const party = member.party;
+    party.members.delete(member.key);
+    this.members.delete(member.key);
+    const client = member.clientId ? this.server.clients.get(member.clientId) : null;
+    if (client) {
+      client.party = null;
+      client.partyMember = null;
+    }
+
+    if (party.members.size === 0) {
+      this.parties.delete(party.code);
+      return;
+    }
+    if (party.leaderKey === member.key) {
+      // Leadership passes to the longest-standing member, preferably a connected one
+      const members = Array.from(party.members.values());
+      const leader = members.find((other) => other.clientId !== null) || members[0];
+      party.leaderKey = leader.key;
+      party.roomId = leader.roomId;
+    }
+    this.broadcast(party);
+  }
+
+  // A member's name changed (or anything else members should see)
+  refresh(client) {
+    if (!client.partyMember) return;
+    client.partyMember.name = this.getName(client);
+    this.broadcast(client.party);
+  }
+
+  broadcast(party) {
+    party.members.forEach((member) => {
+      const client = member.clientId ? this.server.clients.get(member.clientId) : null;
+      if (client) {
+        this.sendState(client, party);
+      }
+    });
+  }
+
+  // party null: the client isn't in one (any more)
+  sendState(client, party) {
+    if (client.ws.readyState !== 1) return; // OPEN
+    if (!party) {
+      this.server.send(client.ws, { type: 'partyState', code: '', memberKey: '', leaderId: 0, roomId: '', members: [] });
+      return;
+    }
+    this.server.send(client.ws, {
+      type: 'partyState',
+      code: party.code,
+      memberKey: client.partyMember.key,
+      leaderId: party.members.get(party.leaderKey).playerId,
+      roomId: party.roomId,
+      members: Array.from(party.members.values()).map((member) => ({
+        playerId: member.playerId,
+        name: member.name,
+        roomId: member.roomId,
+        online: member.clientId !== null
+      }))
+    });
+  }
+
+  // Connected clients in a party, wherever they are
+  getClients(party) {
+    const clients = [];
+    party.members.forEach((member) => {
+      const client = member.clientId ? this.server.clients.get(member.clientId) : null;
+      if (client) clients.push(client);
+    });
+    return clients;
+  }
+
+  getName(client) {
+    const player = client.room.world.players.get(client.playerId);
+    return player ? player.name : '';
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32). Each GameWorld owns
+ * one and every entity draws from it, so a seed plus the same inputs
+ * reproduces the same world.
+ */
+export class Random {
+  constructor(seed = Math.floor(Math.random() * 0x100000000)) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  // Uniform float in [0, 1)
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  // Random 48-bit integer, for entity IDs that must not collide (exact as f64 on the wire)
+  id() {
+    return Math.floor(this.next() * 0x10000) * 0x100000000 + Math.floor(this.next() * 0x100000000);
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * Token bucket: holds up to `capacity` tokens and refills `refillPerSecond`
+ * tokens per second. Each allowed event takes one token.
+ */
+export class TokenBucket {
+  constructor(capacity, refillPerSecond, now = Date.now()) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.lastRefill = now;
+  }
+
+  take(cost = 1, now = Date.now()) {
+    const elapsed = Math.max(0, now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.lastRefill = now;
+
+    if (this.tokens < cost) return false;
+    this.tokens -= cost;
+    return true;
+  }
+}
+
+/**
+ * One token bucket per key (message type, action type, ...), created on first use
+ * from limits = {key: {capacity, refillPerSecond}}. Keys without a limit are always allowed.
+ */
+export class RateLimiter {
+  constructor(limits) {
+    this.limits = limits;
+    this.buckets = new Map();
+  }
+
+  allow(key, now = Date.now()) {
+    const limit = this.limits[key];
+    if (!limit) return true;
+
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = new TokenBucket(limit.capacity, limit.refillPerSecond, now);
+      this.buckets.set(key, bucket);
+    }
+    return bucket.take(1, now);
+  }
+}
@@ -0,0 +1,346 @@
+import { GameWorld } from './GameWorld.js';
+import { NetworkConstants } from './NetworkConstants.js';
+import { TickLoop } from './TickLoop.js';
+import { TickProfiler } from './TickProfiler.js';
+import { computeViewRect, cullSnapshot, cullEvents } from './ViewArea.js';
+import { captureMovementState, TICK_MS } from '../shared/Movement.js';
+import {
+  encodeMessage,
+  buildSnapshotState,
+  diffSnapshotStates,
+  SNAPSHOT_HISTORY_SIZE
+} from '../shared/Protocol.js';
+
+/**
+ * One isolated arena: a GameWorld with its own config, tick loop and clients.
+ * Client records are created by GameServer; the room simulates their inputs
+ * and sends each of them its snapshots.
+ */
+export class Room {
+  // loopOptions are passed to TickLoop (wall clock, time scale); metrics holds
+  // the server-wide tickDuration histogram and sentBytes counter, if any
+  constructor(id, mode, settings, loopOptions = {}, metrics = null) {
+    this.id = id;
+    this.mode = mode;
+    this.metrics = metrics;
+    this.maxPlayers = settings.maxPlayers;
+    this.world = new GameWorld(settings.config);
+    // Tick phases (timed by the world) plus snapshot, serialize and send time from broadcastState
+    this.profiler = new TickProfiler();
+    this.world.profiler = this.profiler;
+    this.world.events = []; // Drained into the clients' snapshots by broadcastState
+    this.clients = new Map(); // clientId -> client record
+    this.onPlayerDeath = null; // Called with each human Player whose last cell is eaten (account stats)
+    this.loop = new TickLoop((ticks) => this.step(ticks), loopOptions);
+  }
+
+  start() {
+    this.loop.start();
+  }
+
+  stop() {
+    this.loop.stop();
+  }
+
+  step(ticks) {
+    for (let i = 0; i < ticks; i++) {
+      this.applyQueuedInputs();
+      const tickStart = performance.now();
+      this.world.tick();
+      this.metrics?.tickDuration.observe((performance.now() - tickStart) / 1000);
+    }
+    // One snapshot per wakeup, even when catching up on several ticks
+    this.broadcastState();
+  }
+
+  addClient(clientId, client) {
+    this.clients.set(clientId, client);
+  }
+
+  removeClient(clientId) {
+    this.clients.delete(clientId);
+  }
+
+  // Human players in the world, including disconnected ones waiting to resume
+  getPlayerCount() {
+    let count = 0;
+    this.world.players.forEach((player) => {
+      if (!player.isBot) count++;
+    });
+    return count;
+  }
+
+  hasSpace() {
+    return this.getPlayerCount() < this.maxPlayers;
+  }
+
+  isEmpty() {
+    return this.clients.size === 0 && this.getPlayerCount() === 0;
+  }
+
+  getInfo() {
+    return {
+      id: this.id,
+      mode: this.mode,
+      players: this.getPlayerCount(),
+      maxPlayers: this.maxPlayers,
+      spectators: this.getSpectatorCount()
+    };
+  }
+
+  getSpectatorCount() {
+    let count = 0;
+    this.clients.forEach((client) => {
+      if (client.session.spectator) count++;
+    });
+    return count;
+  }
+
+  getHealth() {
+    return {
+      ...this.getInfo(),
+      tickLagMs: Math.round(this.loop.getLag())
+    };
+  }
+
+  applyQueuedInputs() {
+    // One input per tick, so the client can replay its unacknowledged inputs tick for tick
+    this.clients.forEach((client) => {
+      if (client.inputQueue.length === 0) return; // Keep simulating the last input
+      while (client.inputQueue.length > NetworkConstants.INPUT_QUEUE_MAX) {
+        client.inputQueue.shift();
+      }
+      const message = client.inputQueue.shift();
+      client.lastInputSeq = message.seq;
+      client.lastInput = message.input;
+      client.lastInputTime = Date.now();
+      this.world.handleInput(client.playerId, message.input);
+    });
+  }
+
+  broadcastState() {
+    const startedAt = performance.now();
+    const snapshot = this.world.getSnapshot();
+    // Wall time, not simulation time: clients interpolate on the server's real clock
+    const timestamp = Date.now();
+    const events = this.world.events.splice(0);
+    this.profiler.record('snapshot', performance.now() - startedAt);
+    this.sendDeaths(events);
+
+    // Each client gets its own culled delta snapshot (quantization happens in the protocol)
+    let serializeMs = 0;
+    let sendMs = 0;
+    let bytesSent = 0;
+    this.clients.forEach((client, clientId) => {
+      if (client.ws.readyState !== 1) return; // OPEN
+      this.queueEvents(client, events);
+      if (!this.shouldSendSnapshot(clientId, client)) return;
+
+      try {
+        const serializeStart = performance.now();
+        const message = encodeMessage(this.buildClientSnapshot(client, snapshot, timestamp));
+        const sendStart = performance.now();
+        // Send without buffering for lowest latency
+        client.ws.send(message, { binary: true });
+        sendMs += performance.now() - sendStart;
+        serializeMs += sendStart - serializeStart;
+        client.sendStats.snapshotsSent++;
+        client.sendStats.bytesSent += message.byteLength;
+        bytesSent += message.byteLength;
+      } catch (e) {
+        console.error('Error sending to client:', e);
+      }
+    });
+    this.profiler.record('serialize', serializeMs);
+    this.profiler.record('send', sendMs);
+    this.metrics?.sentBytes.inc({}, bytesSent);
+  }
+
+  // Tell clients whose player just lost its last cell how that life went (and onPlayerDeath)
+  sendDeaths(events) {
+    events.forEach((event) => {
+      if (event.type !== 'playerKilled') return;
+      const player = this.world.players.get(event.playerId);
+      if (!player || player.isBot) return;
+      this.onPlayerDeath?.(player);
+      this.clients.forEach((client) => {
+        if (client.playerId !== event.playerId || client.ws.readyState !== 1) return; // OPEN
+        const message = encodeMessage({ type: 'death', ...player.getLifeSummary() });
+        client.ws.send(message, { binary: true });
+        this.metrics?.sentBytes.inc({}, message.byteLength);
+      });
+    });
+  }
+
+  // Events wait for the client's next snapshot, so skipped snapshots don't lose them
+  queueEvents(client, events) {
+    if (events.length === 0) return;
+    const visible = cullEvents(events, client.viewRect, client.playerId);
+    client.pendingEvents.push(...visible);
+    const excess = client.pendingEvents.length - NetworkConstants.MAX_PENDING_EVENTS;
+    if (excess > 0) {
+      client.pendingEvents.splice(0, excess);
+    }
+  }
+
+  getEntityCounts() {
+    const world = this.world;
+    let cells = 0;
+    world.players.forEach((player) => {
+      cells += player.cells.length;
+    });
+    return {
+      cells,
+      pellets: world.pellets.size,
+      viruses: world.viruses.size,
+      feedPellets: world.feedPellets.size,
+      virusProjectiles: world.virusProjectiles.size
+    };
+  }
+
+  getPerfStats() {
+    const world = this.world;
+    return {
+      id: this.id,
+      mode: this.mode,
+      tick: world.clock.tick,
+      budgetMs: TICK_MS,
+      droppedMs: this.loop.droppedMs,
+      players: this.getPlayerCount(),
+      clients: this.clients.size,
+      entities: this.getEntityCounts(),
+      phases: this.profiler.getStats()
+    };
+  }
+
+  shouldSendSnapshot(clientId, client) {
+    const buffered = client.ws.bufferedAmount;
+    const stats = client.sendStats;
+    stats.peakBufferedAmount = Math.max(stats.peakBufferedAmount, buffered);
+
+    if (buffered > NetworkConstants.SEND_BUFFER_HARD_LIMIT) {
+      // The close frame would queue behind the backlog, so cut the socket; the player can resume
+      console.warn(`Dropping client ${clientId} (player ${client.playerId}): send buffer at ${buffered} bytes`);
+      client.dropped = true;
+      client.ws.terminate();
+      return false;
+    }
+
+    client.ticksSinceSnapshot++;
+    if (client.ticksSinceSnapshot < client.snapshotInterval) return false;
+
+    if (buffered > NetworkConstants.SEND_BUFFER_SOFT_LIMIT) {
+      // Skipping merges this snapshot into the next one - deltas are against the acked baseline
+      stats.snapshotsSkipped++;
+      client.cleanSends = 0;
+      client.lagStrikes++;
+      if (client.lagStrikes >= NetworkConstants.LAG_SKIPS_TO_SLOW_DOWN &&
+          client.snapshotInterval < NetworkConstants.SNAPSHOT_INTERVAL_MAX) {
+        client.snapshotInterval++;
+        client.lagStrikes = 0;
+        stats.rateReductions++;
+      }
+      return false;
+    }
+
+    client.ticksSinceSnapshot = 0;
+    client.cleanSends++;
+    if (client.cleanSends >= NetworkConstants.CLEAN_SENDS_TO_SPEED_UP && client.snapshotInterval > 1) {
+      client.snapshotInterval--;
+      client.cleanSends = 0;
+      client.lagStrikes = 0;
+    }
+    return true;
+  }
+
+  buildClientSnapshot(client, snapshot, timestamp) {
+    const player = this.world.players.get(client.playerId);
+    // Spectators (and dead players spectating) see what the player they follow sees
+    const target = this.getSpectateTarget(client, player);
+    client.spectateTargetId = target ? target.id : 0;
+    const viewPlayer = target || player;
+    const rect = computeViewRect(viewPlayer, client.viewport, client.viewCenter);
+    // Remember the last view center so dead players keep seeing where they died
+    client.viewCenter = { x: rect.centerX, y: rect.centerY };
+    client.viewRect = rect; // Events are culled against the view the client last got
+
+    const state = buildSnapshotState(cullSnapshot(snapshot, rect, viewPlayer ? viewPlayer.id : client.playerId));
+    const seq = ++client.snapshotSeq;
+
+    // Diff against the last acknowledged state; fall back to a keyframe on join,
+    // after a keyframe request, or when the client stopped acknowledging
+    let baselineSeq = 0;
+    if (client.ackedSeq !== null && seq - client.ackedSeq < SNAPSHOT_HISTORY_SIZE &&
+        client.sentStates.has(client.ackedSeq)) {
+      baselineSeq = client.ackedSeq;
+    }
+    const delta = diffSnapshotStates(baselineSeq ? client.sentStates.get(baselineSeq) : null, state);
+
+    client.sentStates.set(seq, state);
+    client.sentStates.delete(seq - SNAPSHOT_HISTORY_SIZE);
+
+    // Exact movement state of our own cells, for prediction reconciliation
+    const now = this.world.clock.now();
+    const movement = player ? player.cells.map((cell) => captureMovementState(cell, now)) : [];
+
+    return {
+      type: 'snapshot',
+      seq,
+      baselineSeq,
+      timestamp,
+      delta,
+      inputSeq: client.lastInputSeq,
+      movement,
+      playerCount: snapshot.playerCount,
+      leaderboard: snapshot.leaderboard,
+      events: client.pendingEvents.splice(0),
+      party: this.getPartyPositions(client),
+      spectateTarget: client.spectateTargetId
+    };
+  }
+
+  // The player a spectating client's view follows, or null for its own cells or free roam
+  getSpectateTarget(client, player) {
+    const spectate = client.spectate;
+    if (!spectate || spectate.mode === 'free') return null;
+    if (player && player.cells.length > 0) return null;
+
+    if (spectate.mode === 'player') {
+      const target = this.world.players.get(spectate.targetId);
+      if (target && target.cells.length > 0) return target;
+      // Whoever we followed died or left - move on to the leader rather than jump back if they respawn
+      client.spectate = { mode: 'top', targetId: 0 };
+    }
+    return this.getPlayersByScore()[0] || null;
+  }
+
+  // The player `step` places from currentId in score order (wrapping around), or 0 if nobody is alive
+  cycleSpectateTarget(currentId, step) {
+    const players = this.getPlayersByScore();
+    if (players.length === 0) return 0;
+    const index = players.findIndex((player) => player.id === currentId);
+    if (index === -1) return players[0].id;
+    return players[(index + step + players.length) % players.length].id;
+  }
+
+  // Players with cells on the map, highest score first
+  getPlayersByScore() {
+    return Array.from(this.world.players.values())
+      .filter((player) => player.cells.length > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Where the client's party members in this room are, so the minimap can show them
+  getPartyPositions(client) {
+    const positions = [];
+    if (!client.party) return positions;
+    client.party.members.forEach((member) => {
+      if (member.roomId !== this.id || member.playerId === client.playerId) return;
+      const player = this.world.players.get(member.playerId);
+      if (player && player.cells.length > 0) {
+        positions.push({ playerId: member.playerId, x: player.getCenterX(), y: player.getCenterY() });
+      }
+    });
+    return positions;
+  }
+}
@@ -0,0 +1,152 @@
+import { Room } from './Room.js';
+import { RoomModes, DEFAULT_MODE } from './RoomModes.js';
+import { NetworkConstants } from './NetworkConstants.js';
+
+// Room IDs are '<mode>' or '<mode>-<name>', e.g. 'instant', 'wager-3', 'wager-friday'
+const ROOM_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+/**
+ * Hosts the rooms of this process (up to MAX_ROOMS). Rooms are created on
+ * demand and garbage-collected once they have been empty for a while.
+ */
+export class RoomManager {
+  // loopOptions are handed to every room's TickLoop, metrics to every Room
+  constructor(loopOptions = {}, metrics = null) {
+    this.loopOptions = loopOptions;
+    this.metrics = metrics;
+    this.rooms = new Map(); // roomId -> Room
+    this.emptySince = new Map(); // roomId -> time the room was first seen empty
+    this.nextRoomNumber = 1;
+    this.onPlayerDeath = null; // Called with each human Player whose last cell is eaten, in any room
+    this.gcLoop = setInterval(() => this.collectEmptyRooms(), NetworkConstants.ROOM_GC_INTERVAL);
+  }
+
+  /**
+   * Find the room for a requested ID. A bare mode name ('wager') matchmakes
+   * into an open room of that mode; any other ID names a specific room,
+   * created on first use. Returns {room} or {error}.
+   */
+  joinRoom(requestedId) {
+    const roomId = (requestedId || DEFAULT_MODE).toLowerCase();
+    if (!ROOM_ID_PATTERN.test(roomId)) {
+      return { error: 'Invalid room ID' };
+    }
+    const mode = roomId.split('-')[0];
+    if (!RoomModes[mode]) {
+      return { error: `Unknown game mode: ${mode}` };
+    }
+
+    if (roomId === mode) {
+      const room = this.findOpenRoom(mode);
+      if (room) return { room };
+      if (this.rooms.size >= NetworkConstants.MAX_ROOMS) {
+        return { error: 'Server is full' };
+      }
+      return { room: this.createRoom(this.nextMatchmadeId(mode), mode, true) };
+    }
+
+    let room = this.rooms.get(roomId);
+    if (!room) {
+      if (!this.canCreateNamedRoom()) {
+        return { error: 'Too many rooms' };
+      }
+      room = this.createRoom(roomId, mode, false);
+    }
+    if (!room.hasSpace()) {
+      return { error: 'Room is full' };
+    }
+    return { room };
+  }
+
+  canCreateNamedRoom() {
+    if (this.rooms.size >= NetworkConstants.MAX_ROOMS) return false;
+    let named = 0;
+    this.rooms.forEach((room) => {
+      if (!room.matchmade) named++;
+    });
+    return named < NetworkConstants.MAX_NAMED_ROOMS;
+  }
+
+  findOpenRoom(mode) {
+    // Fill the busiest room first so players find each other
+    let best = null;
+    this.rooms.forEach((room) => {
+      if (room.mode !== mode || !room.matchmade || !room.hasSpace()) return;
+      if (!best || room.getPlayerCount() > best.getPlayerCount()) {
+        best = room;
+      }
+    });
+    return best;
+  }
+
+  nextMatchmadeId(mode) {
+    if (!this.rooms.has(mode)) return mode;
+    let roomId;
+    do {
+      roomId = `${mode}-${this.nextRoomNumber++}`;
+    } while (this.rooms.has(roomId));
+    return roomId;
+  }
+
+  // savedWorld is a GameWorld.save() result to continue from (see restoreRoom)
+  createRoom(roomId, mode, matchmade, savedWorld = null) {
+    const room = new Room(roomId, mode, RoomModes[mode], this.loopOptions, this.metrics);
+    if (savedWorld) {
+      room.world.load(savedWorld);
+    }
+    room.matchmade = matchmade;
+    room.onPlayerDeath = (player) => this.onPlayerDeath?.(player);
+    room.start();
+    this.rooms.set(roomId, room);
+    console.log(`Room ${savedWorld ? 'restored' : 'created'}: ${roomId} (${mode}, seed ${room.world.random.seed})`);
+    return room;
+  }
+
+  // Recreate a room from a save; rooms of modes that no longer exist are dropped
+  restoreRoom(roomId, mode, matchmade, savedWorld) {
+    if (!RoomModes[mode] || this.rooms.has(roomId)) return null;
+    return this.createRoom(roomId, mode, matchmade, savedWorld);
+  }
+
+  // Stop every room's tick loop and the GC loop (shutdown)
+  stop() {
+    clearInterval(this.gcLoop);
+    this.rooms.forEach((room) => room.stop());
+  }
+
+  getRoom(roomId) {
+    return this.rooms.get(roomId);
+  }
+
+  getRooms() {
+    return Array.from(this.rooms.values());
+  }
+
+  getRoomInfos() {
+    return Array.from(this.rooms.values()).map((room) => room.getInfo());
+  }
+
+  getPerfStats() {
+    return Array.from(this.rooms.values()).map((room) => room.getPerfStats());
+  }
+
+  collectEmptyRooms() {
+    const now = Date.now();
+    this.rooms.forEach((room, roomId) => {
+      if (!room.isEmpty()) {
+        this.emptySince.delete(roomId);
+        return;
+      }
+      if (!this.emptySince.has(roomId)) {
+        this.emptySince.set(roomId, now);
+        return;
+      }
+      if (now - this.emptySince.get(roomId) >= NetworkConstants.ROOM_IDLE_TIMEOUT) {
+        room.stop();
+        this.rooms.delete(roomId);
+        this.emptySince.delete(roomId);
+        console.log(`Room closed: ${roomId} (empty)`);
+      }
+    });
+  }
+}
@@ -0,0 +1,24 @@
+/**
+ * Game modes behind the home screen's mode cards. Each room runs one mode;
+ * `config` overrides GameWorld's defaults for that room.
+ */
+
+export const RoomModes = {
+  instant: {
+    maxPlayers: 50,
+    config: {}
+  },
+  wager: {
+    // 1v1 arena: small map, no bots
+    maxPlayers: 2,
+    config: {
+      mapWidth: 3000,
+      mapHeight: 3000,
+      pelletCount: 250,
+      virusCount: 6,
+      botCount: 0
+    }
+  }
+};
+
+export const DEFAULT_MODE = 'instant';
@@ -0,0 +1,26 @@
+import { TICK_MS } from '../shared/Movement.js';
+
+// Worlds start at a fixed time so seeded runs replay identically. It is well
+// past zero, so timestamps that entities initialize to 0 read as "long ago"
+const SIMULATION_EPOCH = 1e9;
+
+/**
+ * Simulation time for one world. It only moves when the world ticks, by a
+ * fixed step per tick, so timers (split immunity, merge cooldowns, lifetimes)
+ * measure simulated time no matter how fast or evenly ticks actually run.
+ */
+export class SimulationClock {
+  constructor(startTime = SIMULATION_EPOCH, tickMs = TICK_MS) {
+    this.startTime = startTime;
+    this.tickMs = tickMs;
+    this.tick = 0;
+  }
+
+  now() {
+    return this.startTime + this.tick * this.tickMs;
+  }
+
+  advance() {
+    this.tick++;
+  }
+}
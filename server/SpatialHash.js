@@ -0,0 +1,114 @@
+/**
+ * Uniform grid over entity centers for proximity queries. Entities are stored
+ * by reference; call update() after moving one so it lands in the right bucket.
+ * Queries return everything whose center is within a square around a point -
+ * callers still run their exact distance checks on the results.
+ */
+export class SpatialHash {
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.buckets = new Map(); // bucket key -> Set of entities
+    this.keys = new Map(); // entity -> its bucket key
+  }
+
+  get size() {
+    return this.keys.size;
+  }
+
+  keyFor(x, y) {
+    // Offset so entities slightly outside the map still get a valid key
+    const gx = Math.floor(x / this.cellSize) + 32768;
+    const gy = Math.floor(y / this.cellSize) + 32768;
+    return gx * 65536 + gy;
+  }
+
+  insert(entity) {
+    const key = this.keyFor(entity.x, entity.y);
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = new Set();
+      this.buckets.set(key, bucket);
+    }
+    bucket.add(entity);
+    this.keys.set(entity, key);
+  }
+
+  remove(entity) {
+    const key = this.keys.get(entity);
+    if (key === undefined) return;
+    const bucket = this.buckets.get(key);
+    bucket.delete(entity);
+    if (bucket.size === 0) {
+      this.buckets.delete(key);
+    }
+    this.keys.delete(entity);
+  }
+
+  update(entity) {
+    if (this.keys.get(entity) === this.keyFor(entity.x, entity.y)) return;
+    this.remove(entity);
+    this.insert(entity);
+  }
+
+  clear() {
+    this.buckets.clear();
+    this.keys.clear();
+  }
+
+  /**
+   * Collect entities whose center lies within `radius` of (x, y) along both
+   * axes. Returns a new array, so callers may insert and remove while iterating.
+   */
+  query(x, y, radius) {
+    const results = [];
+    const minX = Math.floor((x - radius) / this.cellSize);
+    const maxX = Math.floor((x + radius) / this.cellSize);
+    const minY = Math.floor((y - radius) / this.cellSize);
+    const maxY = Math.floor((y + radius) / this.cellSize);
+
+    for (let gx = minX; gx <= maxX; gx++) {
+      for (let gy = minY; gy <= maxY; gy++) {
+        const bucket = this.buckets.get((gx + 32768) * 65536 + gy + 32768);
+        if (!bucket) continue;
+        bucket.forEach((entity) => {
+          if (Math.abs(entity.x - x) <= radius && Math.abs(entity.y - y) <= radius) {
+            results.push(entity);
+          }
+        });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Nearest entity to (x, y) within maxDistance that passes `filter`, searching
+   * outward in growing squares. Returns null if there is none.
+   */
+  findNearest(x, y, maxDistance, filter = null) {
+    if (this.keys.size === 0) return null;
+    let radius = Math.min(this.cellSize, maxDistance);
+    while (true) {
+      let nearest = null;
+      let nearestDistSq = Infinity;
+      this.query(x, y, radius).forEach((entity) => {
+        if (filter && !filter(entity)) return;
+        const dx = entity.x - x;
+        const dy = entity.y - y;
+        const distSq = dx * dx + dy * dy;
+        if (distSq < nearestDistSq) {
+          nearestDistSq = distSq;
+          nearest = entity;
+        }
+      });
+
+      // Anything found within the square's inscribed circle can't be beaten by a bigger search
+      if (nearest && nearestDistSq <= radius * radius) {
+        return nearestDistSq <= maxDistance * maxDistance ? nearest : null;
+      }
+      if (radius >= maxDistance) {
+        return nearest && nearestDistSq <= maxDistance * maxDistance ? nearest : null;
+      }
+      radius = Math.min(radius * 2, maxDistance);
+    }
+  }
+}
@@ -0,0 +1,64 @@
+import { TICK_MS } from '../shared/Movement.js';
+
+const MAX_CATCH_UP_TICKS = 15; // After a longer stall we drop time rather than spiral
+
+/**
+ * Fixed-timestep loop: accumulates elapsed wall time (from an injectable
+ * clock, scaled by timeScale) and runs as many whole ticks as have come due.
+ * onTicks(count) is called once per wakeup with the number of ticks to run.
+ */
+export class TickLoop {
+  constructor(onTicks, options = {}) {
+    this.onTicks = onTicks;
+    this.now = options.now || (() => performance.now());
+    this.timeScale = options.timeScale ?? 1;
+    this.tickMs = options.tickMs ?? TICK_MS;
+    this.accumulator = 0;
+    this.lastTime = null;
+    this.timer = null;
+    this.droppedMs = 0; // Wall time skipped after stalls, for diagnostics
+    this.backlogMs = 0; // Wall time that was due at the last wakeup
+  }
+
+  start() {
+    this.lastTime = this.now();
+    this.accumulator = 0;
+    // Wake up faster than the tick rate so timer jitter doesn't delay ticks by a whole step
+    this.timer = setInterval(() => this.update(), this.tickMs / 2);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  update() {
+    const now = this.now();
+    this.accumulator += (now - this.lastTime) * this.timeScale;
+    this.lastTime = now;
+    this.backlogMs = this.accumulator / this.timeScale;
+
+    let ticks = Math.floor(this.accumulator / this.tickMs);
+    if (ticks > MAX_CATCH_UP_TICKS) {
+      this.droppedMs += (ticks - MAX_CATCH_UP_TICKS) * this.tickMs;
+      ticks = MAX_CATCH_UP_TICKS;
+      this.accumulator %= this.tickMs;
+    } else {
+      this.accumulator -= ticks * this.tickMs;
+    }
+
+    if (ticks > 0) {
+      this.onTicks(ticks);
+    }
+  }
+
+  /**
+   * How far the simulation is behind real time (ms): the backlog found at the
+   * last wakeup, or the time since then if the loop has stopped waking up.
+   * About one tick when healthy; it grows when ticks take longer than budget.
+   */
+  getLag() {
+    if (this.timer === null) return 0;
+    return Math.max(this.backlogMs, this.now() - this.lastTime);
+  }
+}
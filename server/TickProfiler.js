@@ -0,0 +1,68 @@
+/**
+ * Per-phase timings of GameWorld.tick over a rolling window of ticks.
+ * The world calls begin(), mark(phase) after each phase, and end().
+ */
+export class TickProfiler {
+  constructor(windowSize = 600, now = () => performance.now()) {
+    this.windowSize = windowSize;
+    this.now = now;
+    this.samples = new Map(); // phase -> {values ring buffer, next, count}
+    this.tickStart = 0;
+    this.phaseStart = 0;
+  }
+
+  begin() {
+    this.tickStart = this.now();
+    this.phaseStart = this.tickStart;
+  }
+
+  mark(phase) {
+    const now = this.now();
+    this.record(phase, now - this.phaseStart);
+    this.phaseStart = now;
+  }
+
+  end() {
+    this.record('total', this.now() - this.tickStart);
+  }
+
+  record(phase, ms) {
+    let series = this.samples.get(phase);
+    if (!series) {
+      series = { values: new Float64Array(this.windowSize), next: 0, count: 0 };
+      this.samples.set(phase, series);
+    }
+    series.values[series.next] = ms;
+    series.next = (series.next + 1) % this.windowSize;
+    series.count = Math.min(series.count + 1, this.windowSize);
+  }
+
+  /**
+   * {phase: {samples, mean, p50, p95, p99, max}} in milliseconds, over the
+   * window, in the order phases were first recorded.
+   */
+  getStats() {
+    const stats = {};
+    this.samples.forEach((series, phase) => {
+      const sorted = series.values.slice(0, series.count).sort();
+      let sum = 0;
+      sorted.forEach((value) => {
+        sum += value;
+      });
+      stats[phase] = {
+        samples: series.count,
+        mean: series.count > 0 ? sum / series.count : 0,
+        p50: percentile(sorted, 0.5),
+        p95: percentile(sorted, 0.95),
+        p99: percentile(sorted, 0.99),
+        max: series.count > 0 ? sorted[series.count - 1] : 0
+      };
+    });
+    return stats;
+  }
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
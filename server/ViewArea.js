@@ -0,0 +1,87 @@
+import { NetworkConstants } from './NetworkConstants.js';
+import { getCellRadius } from '../shared/Movement.js';
+
+/**
+ * Area-of-interest helpers: each client only receives the entities inside
+ * a view rectangle around its own cells.
+ */
+
+function clamp(value, min, max) {
+  if (!Number.isFinite(value)) return min;
+  return Math.max(min, Math.min(max, value));
+}
+
+export function computeViewRect(player, viewport, fallbackCenter) {
+  const width = clamp(viewport.width, 1, NetworkConstants.VIEW_MAX_SCREEN_WIDTH);
+  const height = clamp(viewport.height, 1, NetworkConstants.VIEW_MAX_SCREEN_HEIGHT);
+  const zoom = clamp(viewport.zoom, NetworkConstants.VIEW_MIN_ZOOM, NetworkConstants.VIEW_MAX_ZOOM);
+
+  let centerX = fallbackCenter.x;
+  let centerY = fallbackCenter.y;
+  let largestRadius = 0;
+  if (player && player.cells.length > 0) {
+    centerX = player.getCenterX();
+    centerY = player.getCenterY();
+    player.cells.forEach((cell) => {
+      largestRadius = Math.max(largestRadius, cell.getRadius());
+    });
+  }
+
+  // Bigger players may see further, but never more than the server allows
+  const maxHalfExtent = NetworkConstants.VIEW_BASE_HALF_EXTENT +
+                        largestRadius * NetworkConstants.VIEW_RADIUS_EXTENT_FACTOR;
+  const halfWidth = Math.min(width / zoom / 2, maxHalfExtent) + NetworkConstants.VIEW_MARGIN;
+  const halfHeight = Math.min(height / zoom / 2, maxHalfExtent) + NetworkConstants.VIEW_MARGIN;
+
+  return {
+    centerX,
+    centerY,
+    minX: centerX - halfWidth,
+    maxX: centerX + halfWidth,
+    minY: centerY - halfHeight,
+    maxY: centerY + halfHeight
+  };
+}
+
+export function isInView(x, y, radius, rect) {
+  return x + radius >= rect.minX && x - radius <= rect.maxX &&
+         y + radius >= rect.minY && y - radius <= rect.maxY;
+}
+
+export function cullSnapshot(snapshot, rect, playerId) {
+  const players = [];
+  snapshot.players.forEach((player) => {
+    // Own cells are always sent in full, even when split far apart
+    if (player.id === playerId) {
+      players.push(player);
+      return;
+    }
+    const cells = player.cells.filter((cell) => isInView(cell.x, cell.y, getCellRadius(cell.mass), rect));
+    if (cells.length > 0) {
+      players.push({ ...player, cells });
+    }
+  });
+
+  // Small entities are point-tested - VIEW_MARGIN covers their radius
+  const inRect = (entity) => isInView(entity.x, entity.y, 0, rect);
+
+  return {
+    ...snapshot,
+    players,
+    pellets: snapshot.pellets.filter(inRect),
+    viruses: snapshot.viruses.filter(inRect),
+    feedPellets: snapshot.feedPellets.filter(inRect),
+    virusProjectiles: snapshot.virusProjectiles.filter(inRect)
+  };
+}
+
+// Events involving the player are always relevant; others only inside the view
+function involvesPlayer(event, playerId) {
+  return event.playerId === playerId || event.eaterId === playerId ||
+         event.victimId === playerId || event.killerId === playerId;
+}
+
+export function cullEvents(events, rect, playerId) {
+  return events.filter((event) =>
+    involvesPlayer(event, playerId) || (rect !== null && isInView(event.x, event.y, 0, rect)));
+}
@@ -0,0 +1,39 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+
+// Bump when the layout of saved worlds changes; older files are ignored
+const SAVE_VERSION = 1;
+
+/**
+ * Saves every room's world and the resumable sessions to one JSON file, so a
+ * restarted server picks up where the previous process left off.
+ */
+export class WorldStore {
+  constructor(path) {
+    this.path = path;
+  }
+
+  save(state) {
+    mkdirSync(dirname(this.path), { recursive: true });
+    // Write then rename, so a crash mid-write never leaves a truncated save
+    const tempPath = `${this.path}.tmp`;
+    writeFileSync(tempPath, JSON.stringify({ version: SAVE_VERSION, savedAt: Date.now(), ...state }));
+    renameSync(tempPath, this.path);
+  }
+
+  // The saved state, or null if there is none we can use
+  load() {
+    if (!existsSync(this.path)) return null;
+    try {
+      const state = JSON.parse(readFileSync(this.path, 'utf8'));
+      if (state.version !== SAVE_VERSION) {
+        console.warn(`Ignoring world save ${this.path}: version ${state.version}, expected ${SAVE_VERSION}`);
+        return null;
+      }
+      return state;
+    } catch (e) {
+      console.error(`Error reading world save ${this.path}:`, e);
+      return null;
+    }
+  }
+}
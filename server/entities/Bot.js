@@ -1,8 +1,8 @@
 import { Player } from './Player.js';
 
 export class Bot extends Player {
-  constructor(id, config) {
-    super(id, config);
+  constructor(id, config, clock, random) {
+    super(id, config, clock, random);
     this.name = `Bot${id}`;
     this.isBot = true;
     
@@ -10,19 +10,19 @@ export class Bot extends Player {
     if (this.cells.length > 0) {
       this.cells[0].mass = 1000;
     }
-    this.targetX = Math.random() * config.mapWidth;
-    this.targetY = Math.random() * config.mapHeight;
-    this.lastTargetUpdate = Date.now();
-    this.targetUpdateInterval = 4000 + Math.random() * 6000; // 4-10 seconds (slower, more chill)
-    this.aggressiveness = 0.2 + Math.random() * 0.3; // 0.2-0.5 (less aggressive)
+    this.targetX = this.random.next() * config.mapWidth;
+    this.targetY = this.random.next() * config.mapHeight;
+    this.lastTargetUpdate = this.clock.now();
+    this.targetUpdateInterval = 4000 + this.random.next() * 6000; // 4-10 seconds (slower, more chill)
+    this.aggressiveness = 0.2 + this.random.next() * 0.3; // 0.2-0.5 (less aggressive)
     this.turnChance = 0.15; // 15% chance to make a turn each update
-    this.lastTurnTime = Date.now();
-    this.turnInterval = 3000 + Math.random() * 5000; // Turn every 3-8 seconds
-    this.wanderAngle = Math.random() * Math.PI * 2; // Random wander direction
+    this.lastTurnTime = this.clock.now();
+    this.turnInterval = 3000 + this.random.next() * 5000; // Turn every 3-8 seconds
+    this.wanderAngle = this.random.next() * Math.PI * 2; // Random wander direction
   }
 
   tick(world) {
-    const now = Date.now();
+    const now = this.clock.now();
     const centerX = this.getCenterX();
     const centerY = this.getCenterY();
     
@@ -31,7 +31,8 @@ export class Bot extends Player {
     let avoidVirusDist = Infinity;
     const myRadius = this.cells.length > 0 ? this.cells[0].getRadius() : 50;
     
-    world.viruses.forEach((virus) => {
+    const searchRadius = myRadius + world.getLargestRadius(world.viruses) + 200;
+    world.virusGrid.query(centerX, centerY, searchRadius).forEach((virus) => {
       const dx = virus.x - centerX;
       const dy = virus.y - centerY;
       const dist = Math.sqrt(dx * dx + dy * dy);
@@ -59,7 +60,7 @@ export class Bot extends Player {
       if (now - this.lastTargetUpdate > this.targetUpdateInterval) {
         this.updateTarget(world);
         this.lastTargetUpdate = now;
-        this.targetUpdateInterval = 6000 + Math.random() * 8000; // 6-14 seconds (longer intervals = less spazzy)
+        this.targetUpdateInterval = 6000 + this.random.next() * 8000; // 6-14 seconds (longer intervals = less spazzy)
       }
 
       // Remove random turns - they cause spazzy back-and-forth movement
@@ -129,31 +130,30 @@ export class Bot extends Player {
   }
 
   updateTarget(world) {
-    // Find nearest pellet (prefer pellets over players for chill bots)
-    let nearestPellet = null;
-    let nearestPelletDist = Infinity;
+    const centerX = this.getCenterX();
+    const centerY = this.getCenterY();
 
-    // Find nearest pellet
-    world.pellets.forEach((pellet) => {
-      const dx = pellet.x - this.getCenterX();
-      const dy = pellet.y - this.getCenterY();
-      const dist = Math.sqrt(dx * dx + dy * dy);
-      if (dist < nearestPelletDist) {
-        nearestPelletDist = dist;
-        nearestPellet = pellet;
-      }
-    });
+    // Find nearest pellet (prefer pellets over players for chill bots)
+    const mapDiagonal = Math.hypot(world.config.mapWidth, world.config.mapHeight);
+    const nearestPellet = world.pelletGrid.findNearest(centerX, centerY, mapDiagonal);
 
     // Only chase players if very close and much smaller (rare, less aggressive)
     let nearestPlayer = null;
     let nearestPlayerDist = Infinity;
     const myMass = this.getTotalMass();
+
+    // Candidates: players with a cell in chase range
+    const nearbyPlayers = new Set();
+    world.cellGrid.query(centerX, centerY, 800).forEach((cell) => {
+      const player = world.players.get(cell.ownerId);
+      if (player) nearbyPlayers.add(player);
+    });
     
-    world.players.forEach((player) => {
+    nearbyPlayers.forEach((player) => {
       if (player.id === this.id || player.isBot) return; // Don't chase other bots
       const playerMass = player.getTotalMass();
-      const dx = player.getCenterX() - this.getCenterX();
-      const dy = player.getCenterY() - this.getCenterY();
+      const dx = player.getCenterX() - centerX;
+      const dy = player.getCenterY() - centerY;
       const dist = Math.sqrt(dx * dx + dy * dy);
 
       // Only chase if player is much smaller and close (less aggressive)
@@ -164,7 +164,7 @@ export class Bot extends Player {
     });
 
     // Choose target - prefer pellets, rarely chase players
-    if (nearestPlayer && Math.random() < this.aggressiveness * 0.5) {
+    if (nearestPlayer && this.random.next() < this.aggressiveness * 0.5) {
       // Even less likely to chase
       this.targetX = nearestPlayer.getCenterX();
       this.targetY = nearestPlayer.getCenterY();
@@ -173,9 +173,9 @@ export class Bot extends Player {
       this.targetY = nearestPellet.y;
     } else {
       // Random wander - more common for chill bots
-      this.targetX = Math.random() * world.config.mapWidth;
-      this.targetY = Math.random() * world.config.mapHeight;
-      this.wanderAngle = Math.random() * Math.PI * 2; // Update wander angle
+      this.targetX = this.random.next() * world.config.mapWidth;
+      this.targetY = this.random.next() * world.config.mapHeight;
+      this.wanderAngle = this.random.next() * Math.PI * 2; // Update wander angle
     }
   }
 
@@ -191,7 +191,7 @@ export class Bot extends Player {
     // Completely removed auto-split logic for bots
 
     // Rarely feed if we're large enough (very low chance for chill bots)
-    if (this.getTotalMass() > 2000 && Math.random() < 0.002) {
+    if (this.getTotalMass() > 2000 && this.random.next() < 0.002) {
       const centerX = this.getCenterX();
       const centerY = this.getCenterY();
       const dx = this.targetX - centerX;
@@ -1,29 +1,29 @@
-import { PhysicsConstants } from '../PhysicsConstants.js';
+import { PhysicsConstants } from '../../shared/PhysicsConstants.js';
+import {
+  CellState,
+  getCellRadius,
+  hasSplitImmunity,
+  hasDirectionLock,
+  updateCellMovement
+} from '../../shared/Movement.js';
 
-// Cell state machine states
-export const CellState = {
-  IDLE: 'IDLE',
-  MOVING: 'MOVING',
-  SPLITTING: 'SPLITTING',
-  SPLIT_TRAVEL: 'SPLIT_TRAVEL',
-  MERGE_READY: 'MERGE_READY',
-  MERGING: 'MERGING',
-  DEAD: 'DEAD'
-};
+export { CellState };
 
 export class Cell {
-  constructor(id, x, y, mass, ownerId) {
+  constructor(id, x, y, mass, ownerId, clock, random) {
     this.id = id;
     this.x = x;
     this.y = y;
     this.mass = mass;
     this.ownerId = ownerId;
+    this.clock = clock; // The world's SimulationClock - all timers run on simulation time
+    this.random = random; // The world's Random - split jitter and new cell IDs
     this.vx = 0;
     this.vy = 0;
     
     // State machine
     this.state = CellState.IDLE;
-    this.stateStartTime = Date.now();
+    this.stateStartTime = this.clock.now();
     
     // Merge state
     this.mergeTime = null;
@@ -43,8 +43,8 @@ export class Cell {
     this.autoSplitTime = 0;
     
     // Spawn state
-    this.spawnTime = Date.now(); // Track when cell was spawned
-    this.spawnImmunityDuration = 300; // 300ms immunity from cursor attraction after spawn
+    this.spawnTime = this.clock.now(); // Track when cell was spawned
+    this.spawnImmunityDuration = PhysicsConstants.SPAWN_IMMUNITY_DURATION; // Immunity from cursor attraction after spawn
     
     // Life state
     this.isAlive = true;
@@ -60,8 +60,8 @@ export class Cell {
     if (this.state !== newState) {
       const oldState = this.state;
       this.state = newState;
-      this.stateStartTime = Date.now();
-      this.debug.lastStateChange = { from: oldState, to: newState, time: Date.now() };
+      this.stateStartTime = this.clock.now();
+      this.debug.lastStateChange = { from: oldState, to: newState, time: this.clock.now() };
       this.debug.stateHistory.push(this.debug.lastStateChange);
       if (this.debug.stateHistory.length > 10) {
         this.debug.stateHistory.shift();
@@ -78,20 +78,20 @@ export class Cell {
   }
   
   getTimeInState() {
-    return Date.now() - this.stateStartTime;
+    return this.clock.now() - this.stateStartTime;
   }
   
   hasSplitImmunity() {
-    return Date.now() < this.splitImmunityUntil;
+    return hasSplitImmunity(this, this.clock.now());
   }
   
   getSplitImmunityTimer() {
-    const remaining = this.splitImmunityUntil - Date.now();
+    const remaining = this.splitImmunityUntil - this.clock.now();
     return Math.max(0, remaining);
   }
   
   hasDirectionLock() {
-    return this.steerLocked && Date.now() < this.splitDirectionLockUntil;
+    return hasDirectionLock(this, this.clock.now());
   }
   
   getBaseRadius() {
@@ -105,122 +105,24 @@ export class Cell {
   }
 
   updateMovement(inputDirX, inputDirY, config) {
-    const hasInput = Math.abs(inputDirX) + Math.abs(inputDirY) > 0;
-    const now = Date.now();
-    const isInSplitTravel = this.isInState(CellState.SPLIT_TRAVEL);
-    const hasDirectionLock = this.hasDirectionLock();
-    const timeSinceSplit = now - this.splitTime;
-    const isRecentSplit = timeSinceSplit < PhysicsConstants.SPLIT_IMMUNITY_DURATION && this.splitTime > 0;
-    
-    // Check if input is very small (cursor centered) - apply heavy damping
-    const inputMagnitude = Math.sqrt(inputDirX * inputDirX + inputDirY * inputDirY);
-    const isInputCentered = inputMagnitude < 0.1; // Very small input = cursor centered
-    
-    // Update state based on movement
-    if (hasInput && !isInSplitTravel && !isInputCentered) {
-      if (this.state === CellState.IDLE) {
-        this.setState(CellState.MOVING);
-      }
-    } else if ((!hasInput || isInputCentered) && this.state === CellState.MOVING && !isInSplitTravel) {
-      this.setState(CellState.IDLE);
-    }
-    
-    // If direction is locked (first 120ms after split), ignore input and maintain split direction
-    // SPLIT TRAVEL IS BALLISTIC - no steering allowed
-    if (hasDirectionLock && (this.splitDirectionX !== 0 || this.splitDirectionY !== 0)) {
-      // DO NOT apply mouse steering - maintain ballistic trajectory
-      // Only apply friction (minimal)
-      const friction = 0.998; // Very low friction during ballistic travel
-      this.vx *= friction;
-      this.vy *= friction;
-      // DO NOT process input during direction lock - skip to position update
-    } else if (hasInput && !isInputCentered) {
-      const dirLen = Math.sqrt(inputDirX * inputDirX + inputDirY * inputDirY) || 1;
-      const dirX = inputDirX / dirLen;
-      const dirY = inputDirY / dirLen;
-
-      // Calculate target speed based on mass
-      const massRatio = Math.max(1, this.mass / PhysicsConstants.MIN_MASS);
-      const speedReduction = Math.sqrt(Math.max(0, massRatio - 1)) * PhysicsConstants.MASS_FACTOR * 50;
-      let targetSpeed = PhysicsConstants.BASE_SPEED / (1 + speedReduction);
-      
-      // Clamp max speed
-      const maxSpeed = PhysicsConstants.BASE_SPEED * PhysicsConstants.MAX_SPEED_MULTIPLIER;
-      targetSpeed = Math.min(targetSpeed, maxSpeed);
-      
-      const targetVx = dirX * targetSpeed;
-      const targetVy = dirY * targetSpeed;
-
-      // Smooth acceleration toward target velocity
-      const currentSpeed = Math.sqrt(this.vx * this.vx + this.vy * this.vy);
-      const speedDiff = Math.abs(targetSpeed - currentSpeed);
-      
-      // Adaptive response: faster when far from target, slower when close
-      const TURN_RESPONSE = 0.15;
-      const adaptiveResponse = Math.min(TURN_RESPONSE + (speedDiff / targetSpeed) * 0.1, PhysicsConstants.ACCELERATION_RATE);
-      
-      // During split travel (but after direction lock), allow gradual steering
-      if (isInSplitTravel && !hasDirectionLock) {
-        const splitResponse = adaptiveResponse * 0.5;
-        this.vx = this.vx * (1 - splitResponse) + targetVx * splitResponse;
-        this.vy = this.vy * (1 - splitResponse) + targetVy * splitResponse;
-      } else if (!isInSplitTravel) {
-        this.vx = this.vx * (1 - adaptiveResponse) + targetVx * adaptiveResponse;
-        this.vy = this.vy * (1 - adaptiveResponse) + targetVy * adaptiveResponse;
-      }
-    } else {
-      // No input or input centered: apply heavy damping to slow/stop cell
-      const dampingFactor = isInputCentered ? 0.85 : (isInSplitTravel ? 0.995 : PhysicsConstants.FRICTION);
-      this.vx *= dampingFactor;
-      this.vy *= dampingFactor;
-    }
-
-    // Update position (velocity-based movement)
-    this.x += this.vx;
-    this.y += this.vy;
-
-    // Apply mass decay
-    if (config.massDecayRate > 0 && this.mass > PhysicsConstants.MASS_DECAY_THRESHOLD) {
-      const massMultiplier = 1 + (this.mass / PhysicsConstants.RADIUS_SCALE_MASS);
-      const decayAmount = this.mass * config.massDecayRate * massMultiplier;
-      this.mass = Math.max(PhysicsConstants.MASS_DECAY_THRESHOLD, this.mass - decayAmount);
-    }
-
-    // Boundary clamping
-    const radius = this.getRadius();
-    this.x = Math.max(radius, Math.min(config.mapWidth - radius, this.x));
-    this.y = Math.max(radius, Math.min(config.mapHeight - radius, this.y));
-    
-    // Update split travel time
-    if (isInSplitTravel) {
-      this.splitTravelTime = Math.max(0, PhysicsConstants.SPLIT_IMMUNITY_DURATION - timeSinceSplit);
-      
-      // Check if split travel should end
-      if (timeSinceSplit >= PhysicsConstants.SPLIT_IMMUNITY_DURATION) {
-        this.steerLocked = false;
-        this.splitTravelTime = 0;
-        this.setState(hasInput ? CellState.MOVING : CellState.IDLE);
-      }
-    }
+    // Shared with client-side prediction
+    updateCellMovement(this, inputDirX, inputDirY, config, this.clock.now());
   }
 
   getRadius() {
-    const baseRadius = Math.sqrt(this.mass / Math.PI);
-    const scaleFactor = PhysicsConstants.RADIUS_BASE_SCALE + 
-                       Math.min(this.mass / PhysicsConstants.RADIUS_SCALE_MASS, PhysicsConstants.RADIUS_MAX_SCALE);
-    return baseRadius * scaleFactor;
+    return getCellRadius(this.mass);
   }
 
   canSplit() {
     if (this.mass < PhysicsConstants.SPLIT_MIN_MASS) return false;
     if (this.splitCooldown === 0) return true;
-    return Date.now() - this.lastSplitTime > this.splitCooldown;
+    return this.clock.now() - this.lastSplitTime > this.splitCooldown;
   }
 
   split(targetCount, dirX, dirY, impulseMultiplier = 1.0) {
     if (!this.canSplit()) return null;
 
-    const currentTime = Date.now();
+    const currentTime = this.clock.now();
     this.lastSplitTime = currentTime;
     this.setState(CellState.SPLITTING);
 
@@ -249,7 +151,7 @@ export class Cell {
           splitDirY = this.vy / velLength;
         } else {
           // Random direction
-          const angle = Math.random() * Math.PI * 2;
+          const angle = this.random.next() * Math.PI * 2;
           splitDirX = Math.cos(angle);
           splitDirY = Math.sin(angle);
         }
@@ -261,7 +163,7 @@ export class Cell {
         splitDirX = this.vx / velLength;
         splitDirY = this.vy / velLength;
       } else {
-        const angle = Math.random() * Math.PI * 2;
+        const angle = this.random.next() * Math.PI * 2;
         splitDirX = Math.cos(angle);
         splitDirY = Math.sin(angle);
       }
@@ -274,7 +176,7 @@ export class Cell {
     let impulseSpeed = (PhysicsConstants.SPLIT_BASE_IMPULSE + sizeFactor + massFactor) * impulseMultiplier;
     
     // Calculate radii for proper spacing
-    const tempNewCell = new Cell(0, 0, 0, newMass, this.ownerId);
+    const tempNewCell = new Cell(0, 0, 0, newMass, this.ownerId, this.clock, this.random);
     const newCellRadius = tempNewCell.getRadius();
     const oldCellNewRadius = this.getRadius();
     
@@ -327,8 +229,8 @@ export class Cell {
     const newCellY = this.y + splitDirY * finalEjectionOffset;
     
     // Create new cell
-    const newCellId = Date.now() * 1000 + Math.floor(Math.random() * 1000);
-    const newCell = new Cell(newCellId, newCellX, newCellY, newMass, this.ownerId);
+    const newCellId = this.random.id();
+    const newCell = new Cell(newCellId, newCellX, newCellY, newMass, this.ownerId, this.clock, this.random);
     newCell.setInstantMerge(this.splitCooldown === 0);
     newCell.setState(CellState.SPLIT_TRAVEL);
     newCell.splitImmunityUntil = currentTime + PhysicsConstants.SPLIT_IMMUNITY_DURATION;
@@ -404,5 +306,15 @@ export class Cell {
       isAlive: this.isAlive
     };
   }
+
+  // Full state for persistence, velocities and timers included (clock and random are reattached on restore)
+  save() {
+    const { clock, random, debug, ...data } = this;
+    return data;
+  }
+
+  static restore(data, clock, random) {
+    return Object.assign(new Cell(data.id, data.x, data.y, data.mass, data.ownerId, clock, random), data);
+  }
 }
 
@@ -1,15 +1,11 @@
 export class Pellet {
-  constructor(id, x, y) {
+  constructor(id, x, y, random) {
     this.id = id;
     this.x = x;
     this.y = y;
-    this.mass = 5 + Math.random() * 3; // 5-8 mass (reduced for slower growth)
-    this.color = this.generateColor();
-  }
-
-  generateColor() {
-    const hue = Math.floor(Math.random() * 360);
-    return `hsl(${hue}, 70%, 50%)`;
+    this.mass = 5 + random.next() * 3; // 5-8 mass (reduced for slower growth)
+    this.hue = Math.floor(random.next() * 360);
+    this.color = `hsl(${this.hue}, 70%, 50%)`;
   }
 
   serialize() {
@@ -18,8 +14,17 @@ export class Pellet {
       x: this.x,
       y: this.y,
       mass: this.mass,
+      hue: this.hue,
       color: this.color
     };
   }
+
+  save() {
+    return { ...this };
+  }
+
+  static restore(data, random) {
+    return Object.assign(new Pellet(data.id, data.x, data.y, random), data);
+  }
 }
 
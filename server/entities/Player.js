@@ -1,8 +1,9 @@
 import { Cell, CellState } from './Cell.js';
-import { PhysicsConstants } from '../PhysicsConstants.js';
+import { PhysicsConstants } from '../../shared/PhysicsConstants.js';
+import { updatePlayerMovement } from '../../shared/Movement.js';
 
 export class Player {
-  constructor(id, config) {
+  constructor(id, config, clock, random) {
     this.id = id;
     this.name = `Player${id}`;
     this.cells = [];
@@ -12,7 +13,11 @@ export class Player {
     this.cursorY = 0;
     this.score = 0;
     this.config = config;
+    this.clock = clock;
+    this.random = random;
     this.color = this.generateColor();
+    this.isDisconnected = false; // Client dropped, waiting for it to resume the session
+    this.accountId = null; // Set when a logged-in client owns this player (AccountStore)
     
     // Track split timing for double/triple splits
     this.lastSplitTime = 0;
@@ -21,24 +26,64 @@ export class Player {
 
     // Spawn initial cell
     this.spawn(config);
+    this.startLife();
+  }
+
+  // Per-life stats, kept up to date by GameWorld.recordLifeStats from game events.
+  // A life ends when the last cell is eaten and the next one starts on respawn
+  startLife() {
+    this.life = {
+      startedAt: this.clock.now(),
+      endedAt: null,
+      kills: [], // Names of the players whose last cell we ate
+      killedBy: null, // {id, name} of whoever ate our last cell
+      peakMass: 0,
+      pelletsEaten: 0, // Spawned and fed pellets
+      massEaten: 0, // From pellets and other players' cells
+      splits: 0,
+      virusesHit: 0
+    };
+  }
+
+  endLife(killer) {
+    this.life.endedAt = this.clock.now();
+    this.life.killedBy = killer ? { id: killer.id, name: killer.name } : null;
+  }
+
+  // The life's stats as sent to the client in the death message
+  getLifeSummary() {
+    const life = this.life;
+    return {
+      killerId: life.killedBy ? life.killedBy.id : 0,
+      killerName: life.killedBy ? life.killedBy.name : '',
+      timeAlive: Math.round((life.endedAt ?? this.clock.now()) - life.startedAt),
+      peakMass: life.peakMass,
+      massEaten: Math.round(life.massEaten),
+      pelletsEaten: life.pelletsEaten,
+      splits: life.splits,
+      virusesHit: life.virusesHit,
+      kills: life.kills
+    };
   }
 
   generateColor() {
-    const hue = Math.floor(Math.random() * 360);
+    const hue = Math.floor(this.random.next() * 360);
     return `hsl(${hue}, 70%, 50%)`;
   }
 
   spawn(config) {
     const startMass = 1500;
-    const startX = Math.random() * config.mapWidth;
-    const startY = Math.random() * config.mapHeight;
+    const startX = this.random.next() * config.mapWidth;
+    const startY = this.random.next() * config.mapHeight;
 
     const cell = new Cell(
-      Date.now() + Math.random(),
+      this.random.id(),
       startX,
       startY,
       startMass,
-      this.id
+      this.id,
+      this.clock,
+      this.random
     );
 
     // Set split cooldown based on instant merge mode
@@ -48,15 +93,21 @@ export class Player {
   }
 
   setName(name) {
-    if (!name) return;
-    const trimmed = name.toString().trim().slice(0, 20);
-    if (trimmed.length === 0) return;
-    this.name = trimmed;
+    const normalized = Player.normalizeName(name);
+    if (normalized.length === 0) return;
+    this.name = normalized;
+  }
+
+  // The name as setName stores it ('' if unusable); checks on names must use this form
+  static normalizeName(name) {
+    if (!name) return '';
+    return name.toString().trim().slice(0, 20).trim();
   }
 
   respawn(config) {
     this.cells = [];
     this.spawn(config);
+    this.startLife();
   }
 
   setInput(dirX, dirY) {
@@ -86,7 +137,7 @@ export class Player {
     // Use the unified split method with fresh direction
     this.splitToTargetCount(targetCount, dirX.dirX, dirX.dirY, 1.0);
     
-    this.lastSplitTime = Date.now();
+    this.lastSplitTime = this.clock.now();
     this.splitSequence = 0;
   }
   
@@ -115,7 +166,7 @@ export class Player {
       if (velLength > 0.1) {
         return { dirX: largestCell.vx / velLength, dirY: largestCell.vy / velLength };
       } else {
-        const angle = Math.random() * Math.PI * 2;
+        const angle = this.random.next() * Math.PI * 2;
         return { dirX: Math.cos(angle), dirY: Math.sin(angle) };
       }
     }
@@ -156,14 +207,14 @@ export class Player {
     
     // Create 4 cells with equal mass
     const massPerCell = totalMass / 4;
-    const currentTime = Date.now();
+    const currentTime = this.clock.now();
     
     for (let i = 0; i < 4 && this.cells.length < this.getMaxCells(); i++) {
       const dir = directions[i];
-      const newCellId = Date.now() * 1000 + Math.floor(Math.random() * 1000) + i;
+      const newCellId = this.random.id();
       
       // Calculate ejection offset (same for all cells)
-      const tempCell = new Cell(0, 0, 0, massPerCell, this.id);
+      const tempCell = new Cell(0, 0, 0, massPerCell, this.id, this.clock, this.random);
       const newCellRadius = tempCell.getRadius();
       const oldRadius = largestCell.getRadius();
       const minSeparation = oldRadius + newCellRadius;
@@ -172,7 +223,7 @@ export class Player {
       const newCellX = largestCell.x + dir.x * ejectionOffset;
       const newCellY = largestCell.y + dir.y * ejectionOffset;
       
-      const newCell = new Cell(newCellId, newCellX, newCellY, massPerCell, this.id);
+      const newCell = new Cell(newCellId, newCellX, newCellY, massPerCell, this.id, this.clock, this.random);
       newCell.setInstantMerge(this.config.instantMerge);
       newCell.setState(CellState.SPLIT_TRAVEL);
       newCell.splitImmunityUntil = currentTime + PhysicsConstants.SPLIT_IMMUNITY_DURATION;
@@ -367,7 +418,7 @@ export class Player {
     
     // Create cells in a line, border-to-border
     // Use actual radius calculation to get proper spacing
-    const tempCell = new Cell(0, 0, 0, massPerCell, this.id);
+    const tempCell = new Cell(0, 0, 0, massPerCell, this.id, this.clock, this.random);
     const cellRadius = tempCell.getRadius();
     const spacing = cellRadius * 2.1; // Border-to-border spacing (slightly more than 2 * radius for slight gap)
     
@@ -380,18 +431,20 @@ export class Player {
       const newY = largestCell.y + dirY * offset;
       
       const newCell = new Cell(
-        Date.now() + Math.random() + i,
+        this.random.id(),
         newX,
         newY,
         massPerCell,
-        this.id
+        this.id,
+        this.clock,
+        this.random
       );
       
       // Minimal velocity - cells should stay in line
       newCell.vx = dirX * 1.5; // Small forward velocity
       newCell.vy = dirY * 1.5;
       newCell.setInstantMerge(this.config.instantMerge);
-      newCell.splitTime = Date.now();
+      newCell.splitTime = this.clock.now();
       newCell.splitDirectionX = dirX;
       newCell.splitDirectionY = dirY;
       
@@ -468,11 +521,13 @@ export class Player {
         const offsetY = Math.sin(angle) * spacing;
         
         const newCell = new Cell(
-          Date.now() * 1000 + Math.floor(Math.random() * 1000) + pieceIndex,
+          this.random.id(),
           cell.x + offsetX,
           cell.y + offsetY,
           finalMassPerCell, // Even mass for all pieces
-          this.id
+          this.id,
+          this.clock,
+          this.random
         );
         
         // Apply strong impulse - pieces should fly apart
@@ -486,7 +541,7 @@ export class Player {
         newCell.vx = radialDirX * impulseSpeed;
         newCell.vy = radialDirY * impulseSpeed;
         newCell.setInstantMerge(this.config.instantMerge);
-        newCell.splitTime = Date.now();
+        newCell.splitTime = this.clock.now();
         newCell.splitDirectionX = radialDirX;
         newCell.splitDirectionY = radialDirY;
         
@@ -622,10 +677,12 @@ export class Player {
     }
   }
 
+  // Returns the merges completed this tick, as completeMerge records
   checkMerges(config) {
-    if (this.cells.length <= 1) return;
+    if (this.cells.length <= 1) return [];
 
-    const now = Date.now();
+    const now = this.clock.now();
+    const merges = [];
 
     // Process merges - iterate over actual cells array
     for (let i = 0; i < this.cells.length; i++) {
@@ -640,7 +697,7 @@ export class Player {
         }
         
         // 2. Merge cooldown <= 0 (300-500ms after split)
-        const now = Date.now();
+        const now = this.clock.now();
         const timeSinceSplit1 = now - cell1.splitTime;
         const timeSinceSplit2 = now - cell2.splitTime;
         if (timeSinceSplit1 < PhysicsConstants.MERGE_COOLDOWN || timeSinceSplit2 < PhysicsConstants.MERGE_COOLDOWN) {
@@ -670,7 +727,7 @@ export class Player {
             const mergingCell = isMerging1 ? cell1 : cell2;
             if (mergingCell.mergeStartTime && now - mergingCell.mergeStartTime >= PhysicsConstants.MERGE_DELAY_MIN) {
               // Merge timer has passed - complete the merge (physics snap)
-              this.completeMerge(cell1, cell2);
+              merges.push(this.completeMerge(cell1, cell2));
               j--; // Adjust index after removal
               continue;
             }
@@ -685,7 +742,7 @@ export class Player {
             
             // If instant merge, merge immediately (physics snap)
             if (config.instantMerge) {
-              this.completeMerge(cell1, cell2);
+              merges.push(this.completeMerge(cell1, cell2));
               j--; // Adjust index after removal
               continue;
             } else {
@@ -737,7 +794,7 @@ export class Player {
         const newCell = cellToAutoSplit.split(2, dirX, dirY, 1.0);
         if (newCell) {
           // Mark both cells as auto-split for deeper merge requirements
-          const now = Date.now();
+          const now = this.clock.now();
           newCell.autoSplitTime = now;
           cellToAutoSplit.autoSplitTime = now;
           newCell.setInstantMerge(this.config.instantMerge);
@@ -746,8 +803,11 @@ export class Player {
         }
       }
     }
+
+    return merges;
   }
 
+  // Merges cell2 into cell1; returns {cellId, mergedCellId, x, y, mass} for the merge event
   completeMerge(cell1, cell2) {
     // MERGE IS A PHYSICS SNAP - NOT ANIMATION DRIVEN
     // Calculate weighted center of mass
@@ -781,130 +841,38 @@ export class Player {
     cell1.setState(CellState.IDLE);
     
     // Animation is cosmetic only - logic state is instant
+    return { cellId: cell1.id, mergedCellId: cell2.id, x: newPosX, y: newPosY, mass: newMass };
   }
 
   instantMergeCells(cell1, cell2) {
     // Alias for completeMerge (instant merge mode)
-    this.completeMerge(cell1, cell2);
+    return this.completeMerge(cell1, cell2);
   }
 
   mergeCells(cell1, cell2) {
     // Alias for completeMerge
-    this.completeMerge(cell1, cell2);
+    return this.completeMerge(cell1, cell2);
   }
 
   tick(world) {
-    // Check if cursor is centered (close to player center) - if so, bring cells together
-    const centerX = this.getCenterX();
-    const centerY = this.getCenterY();
-    const cursorDx = this.cursorX - centerX;
-    const cursorDy = this.cursorY - centerY;
-    const cursorDist = Math.sqrt(cursorDx * cursorDx + cursorDy * cursorDy);
-    
-    // Calculate average radius to determine if cursor is "centered"
-    let avgRadius = 0;
-    if (this.cells.length > 0) {
-      const radii = this.cells.map(cell => cell.getRadius());
-      avgRadius = radii.reduce((sum, r) => sum + r, 0) / radii.length;
+    if (this.isDisconnected) {
+      // No controller: cells coast on their current velocity (and stay edible)
+      this.cells.forEach((cell) => {
+        cell.updateMovement(0, 0, world.config);
+      });
+    } else {
+      // Steering and cursor attraction (shared with client-side prediction)
+      updatePlayerMovement(this.cells, {
+        dirX: this.inputDirX,
+        dirY: this.inputDirY,
+        cursorX: this.cursorX,
+        cursorY: this.cursorY
+      }, world.config, this.clock.now());
     }
-    
-    // If cursor is within 1.5x average radius of center, bring cells together
-    const isCursorCentered = cursorDist < avgRadius * 1.5;
-    
-    // Update each cell's movement
-    this.cells.forEach((cell) => {
-      // Check if cell just spawned (initial spawn only, not split cells) - prevent ALL movement to avoid speed boost
-      const now = Date.now();
-      const timeSinceSpawn = now - cell.spawnTime;
-      const isInSplitTravel = cell.isInState(CellState.SPLIT_TRAVEL);
-      const hasSplitTime = cell.splitTime > 0;
-      // Only apply spawn immunity to initial spawns, not split cells
-      const isRecentlySpawned = timeSinceSpawn < cell.spawnImmunityDuration && !isInSplitTravel && !hasSplitTime;
-      
-      // If recently spawned, completely prevent movement and skip all movement logic
-      if (isRecentlySpawned) {
-        // Force velocity to zero and skip all movement updates
-        cell.vx = 0;
-        cell.vy = 0;
-        return; // Skip ALL movement logic including updateMovement and cursor attraction
-      }
-      
-      // Normal movement for non-spawned cells
-      cell.updateMovement(this.inputDirX, this.inputDirY, world.config);
-      
-      // Enhanced cursor responsiveness: cells move toward cursor position for better merge control
-      // This adds skill gap - players who position cursor well get faster merges
-      const cursorDx = this.cursorX - cell.x;
-      const cursorDy = this.cursorY - cell.y;
-      const cursorDist = Math.sqrt(cursorDx * cursorDx + cursorDy * cursorDy);
-      const cellRadius = cell.getRadius();
-      
-      // Check if cursor is centered (very close to cell center) - if so, apply heavy damping instead
-      const isCursorCenteredOnCell = cursorDist < cellRadius * 0.4;
-      
-      if (isCursorCenteredOnCell) {
-        // Cursor is centered: apply very heavy damping to slow/stop the cell (prevents shake)
-        const dampingFactor = 0.75; // Very heavy damping - almost stops the cell
-        cell.vx *= dampingFactor;
-        cell.vy *= dampingFactor;
-        // Don't apply cursor attraction when centered - prevents jitter
-        // Skip all cursor attraction logic when centered
-      } else if (cursorDist > 0 && cursorDist < avgRadius * 3.0) {
-        // Normalize direction toward cursor
-        const dirToCursorX = cursorDx / cursorDist;
-        const dirToCursorY = cursorDy / cursorDist;
-        
-        // Stronger attraction when cursor is closer (skill-based: better cursor placement = faster merges)
-        let attractionStrength;
-        if (cursorDist < avgRadius * 0.8) {
-          // Cursor very close: moderate attraction (reduced from 0.8 to prevent shake)
-          attractionStrength = 0.4; // Reduced to prevent shake when near center
-        } else if (cursorDist < avgRadius * 1.5) {
-          // Cursor close: strong attraction
-          attractionStrength = 0.5;
-        } else if (cursorDist < avgRadius * 2.5) {
-          // Cursor medium distance: moderate attraction
-          attractionStrength = 0.3;
-        } else {
-          // Cursor far: weak attraction
-          attractionStrength = 0.15;
-        }
-        
-        // Base speed scales with distance - closer cursor = faster response
-        const baseAttractionSpeed = 5.5; // Increased from 3.0 for more responsiveness
-        const distanceFactor = Math.min(1.0, avgRadius / Math.max(cursorDist, 1)); // Stronger when closer
-        const attractionSpeed = baseAttractionSpeed * (1 + distanceFactor * 0.5); // Up to 50% faster when close
-        
-        // Add velocity toward cursor (skill-based: better cursor placement = faster cell movement)
-        cell.vx += dirToCursorX * attractionSpeed * attractionStrength;
-        cell.vy += dirToCursorY * attractionSpeed * attractionStrength;
-      }
-      
-      // If cursor is centered, add additional attraction force toward center to bring cells together
-      // BUT only if cursor is NOT centered on this specific cell (prevents shake)
-      if (isCursorCentered && this.cells.length > 1 && !isCursorCenteredOnCell) {
-        const cellToCenterDx = centerX - cell.x;
-        const cellToCenterDy = centerY - cell.y;
-        const cellToCenterDist = Math.sqrt(cellToCenterDx * cellToCenterDx + cellToCenterDy * cellToCenterDy);
-        
-        if (cellToCenterDist > 0) {
-          // Normalize direction toward center
-          const dirToCenterX = cellToCenterDx / cellToCenterDist;
-          const dirToCenterY = cellToCenterDy / cellToCenterDist;
-          
-          // Apply strong attraction force when cursor is centered (skill-based merge boost)
-          const attractionStrength = Math.min(0.5, cellToCenterDist / 80); // Increased max from 0.3 to 0.5
-          const attractionSpeed = 4.5; // Increased from 3.0 for faster convergence
-          
-          // Add velocity toward center (stronger for better merge control)
-          cell.vx += dirToCenterX * attractionSpeed * attractionStrength;
-          cell.vy += dirToCenterY * attractionSpeed * attractionStrength;
-        }
-      }
-    });
 
     // Update score
     this.score = Math.floor(this.getTotalMass());
+    this.life.peakMass = Math.max(this.life.peakMass, this.score);
   }
 
   serialize() {
@@ -917,4 +885,18 @@ export class Player {
       color: this.color
     };
   }
+
+  // Full state for persistence; for bots this includes their targets and wander state
+  save() {
+    const { config, clock, random, cells, ...data } = this;
+    return { ...data, cells: cells.map((cell) => cell.save()) };
+  }
+
+  // Called on Player or Bot, whichever saved the data
+  static restore(data, config, clock, random) {
+    const { cells, ...fields } = data;
+    const player = Object.assign(new this(data.id, config, clock, random), fields);
+    player.cells = cells.map((cell) => Cell.restore(cell, clock, random));
+    return player;
+  }
 }
@@ -1,6 +1,7 @@
 export class Virus {
-  constructor(id, x, y) {
+  constructor(id, x, y, random) {
     this.id = id;
+    this.random = random; // The world's Random - where the virus respawns after popping
     this.x = x;
     this.y = y;
     this.mass = 1000; // Starting mass
@@ -18,7 +19,7 @@ export class Virus {
     return false;
   }
 
-  pop(dirX, dirY) {
+  pop(dirX, dirY, config) {
     // Create virus projectile
     const projectile = {
       x: this.x,
@@ -30,13 +31,13 @@ export class Virus {
 
     // Reset virus
     this.mass = 1000;
-    this.x = Math.random() * 8000;
-    this.y = Math.random() * 8000;
+    this.x = this.random.next() * config.mapWidth;
+    this.y = this.random.next() * config.mapHeight;
 
     return projectile;
   }
 
-  update() {
+  update(config) {
     // Apply velocity
     this.x += this.vx;
     this.y += this.vy;
@@ -47,8 +48,8 @@ export class Virus {
 
     // Boundary clamping
     const radius = this.getRadius();
-    this.x = Math.max(radius, Math.min(8000 - radius, this.x));
-    this.y = Math.max(radius, Math.min(8000 - radius, this.y));
+    this.x = Math.max(radius, Math.min(config.mapWidth - radius, this.x));
+    this.y = Math.max(radius, Math.min(config.mapHeight - radius, this.y));
   }
 
   getRadius() {
@@ -64,5 +65,14 @@ export class Virus {
       color: this.color
     };
   }
+
+  save() {
+    const { random, ...data } = this;
+    return data;
+  }
+
+  static restore(data, random) {
+    return Object.assign(new Virus(data.id, data.x, data.y, random), data);
+  }
 }
 
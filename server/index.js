@@ -1,21 +1,35 @@
 import express from 'express';
+import { timingSafeEqual } from 'crypto';
 import { WebSocketServer } from 'ws';
 import { GameServer } from './GameServer.js';
+import { NetworkConstants } from './NetworkConstants.js';
+import { AccountStore } from './AccountStore.js';
+import { LeaderboardStore } from './LeaderboardStore.js';
+import { TokenBucket } from './RateLimiter.js';
 
 const PORT = process.env.PORT || 3000;
 // Render uses port 10000, Cloud Run uses PORT env var
 const app = express();
+// Fly and Render put one proxy in front of us; req.ip is the client behind it
+app.set('trust proxy', 1);
 
 // CORS headers for Firebase Hosting
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  // Preflight for the account API (JSON bodies and the Authorization header)
+  if (req.method === 'OPTIONS') {
+    res.sendStatus(204);
+    return;
+  }
   next();
 });
 
 // Serve static files
 app.use(express.static('client'));
+// Modules shared with the server (wire protocol)
+app.use('/shared', express.static('shared'));
 
 const server = app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
@@ -34,7 +48,195 @@ const wss = new WebSocketServer({
 // Optimize server for low latency
 server.keepAlive = true;
 server.keepAliveInitialDelay = 0;
-const gameServer = new GameServer(wss);
+// Player accounts (set ACCOUNTS_PATH empty to keep them in memory only)
+const accounts = new AccountStore(process.env.ACCOUNTS_PATH ?? 'data/accounts.json');
+// Daily, weekly and all-time best lives (set LEADERBOARDS_PATH empty to keep them in memory only)
+const leaderboards = new LeaderboardStore(process.env.LEADERBOARDS_PATH ?? 'data/leaderboards.json');
+
+const gameServer = new GameServer(wss, {
+  // How long a dropped player's cells wait for the client to reconnect (ms)
+  resumeGracePeriod: process.env.RESUME_GRACE_PERIOD_MS ? Number(process.env.RESUME_GRACE_PERIOD_MS) : undefined,
+  // Simulation speed relative to real time (1 = normal)
+  timeScale: process.env.SIM_TIME_SCALE ? Number(process.env.SIM_TIME_SCALE) : undefined,
+  // Where final leaderboard and session stats go on shutdown
+  statsDir: process.env.STATS_DIR || 'data',
+  // Worlds are saved here and restored on startup (set it empty to disable)
+  worldSavePath: process.env.WORLD_SAVE_PATH ?? 'data/world.json',
+  // `/mod <key>` in chat grants moderator commands (unset: no moderators)
+  chatModKey: process.env.CHAT_MOD_KEY || null,
+  // Comma-separated words masked out of chat messages
+  chatFilterWords: process.env.CHAT_FILTER_WORDS ? process.env.CHAT_FILTER_WORDS.split(',') : [],
+  accounts,
+  leaderboards
+});
+
+// Open rooms and their player counts, for the home screen's mode cards
+app.get('/rooms', (req, res) => {
+  res.json(gameServer.getRoomsInfo());
+});
+
+// Daily, weekly and all-time tables of the best lives (?limit=, default 10, at most 100)
+app.get('/leaderboards', (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 100);
+  res.json(leaderboards.getTables(limit));
+});
+
+// Liveness: 503 only if a game loop is wedged, so the platform restarts us
+app.get('/healthz', (req, res) => {
+  const health = gameServer.getHealth();
+  res.status(health.status === 'ok' ? 200 : 503).json(health);
+});
+
+// Readiness: 503 while lagging, full or draining, so the platform stops routing players here
+app.get('/readyz', (req, res) => {
+  const readiness = gameServer.getReadiness();
+  res.status(readiness.ready ? 200 : 503).json(readiness);
+});
+
+// Debug endpoints are only answered on the loopback interface
+function localOnly(req, res, next) {
+  const address = req.socket.remoteAddress;
+  if (address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1') {
+    next();
+  } else {
+    res.status(404).end();
+  }
+}
+
+// Metrics are local too, unless METRICS_TOKEN is set: then a scraper elsewhere may send it as a Bearer token
+const metricsToken = process.env.METRICS_TOKEN ? Buffer.from(process.env.METRICS_TOKEN) : null;
+function metricsAccess(req, res, next) {
+  const token = Buffer.from((req.get('Authorization') || '').replace(/^Bearer\s+/i, ''));
+  if (metricsToken && token.length === metricsToken.length && timingSafeEqual(token, metricsToken)) {
+    next();
+    return;
+  }
+  localOnly(req, res, next);
+}
+
+// Prometheus metrics (text exposition format)
+app.get('/metrics', metricsAccess, (req, res) => {
+  res.type('text/plain; version=0.0.4').send(gameServer.getMetrics());
+});
+
+// Account API: JSON in and out, errors as {error}
+app.use('/api', express.json({ limit: '16kb' }));
+
+// Register and login attempts per address - password hashing is slow, and passwords can be guessed
+const authAttempts = new Map(); // address -> TokenBucket
+function authRateLimit(req, res, next) {
+  let bucket = authAttempts.get(req.ip);
+  if (!bucket) {
+    if (authAttempts.size > 10000) authAttempts.clear();
+    bucket = new TokenBucket(10, 0.1);
+    authAttempts.set(req.ip, bucket);
+  }
+  if (!bucket.take()) {
+    res.status(429).json({ error: 'Too many attempts, try again later' });
+    return;
+  }
+  next();
+}
+
+// Authorization: Bearer <token> from register/login
+function requireAccount(req, res, next) {
+  const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  const account = accounts.authenticate(token);
+  if (!account) {
+    res.status(401).json({ error: 'Not logged in' });
+    return;
+  }
+  req.account = account;
+  req.accountToken = token;
+  next();
+}
+
+function sendAccountError(res, e) {
+  if (e.status) {
+    res.status(e.status).json({ error: e.message });
+  } else {
+    console.error('Account error:', e);
+    res.status(500).json({ error: 'Internal error' });
+  }
+}
+
+app.post('/api/register', authRateLimit, (req, res) => {
+  const body = req.body || {};
+  accounts.register(body.username, body.password)
+    .then((result) => res.status(201).json(result))
+    .catch((e) => sendAccountError(res, e));
+});
+
+app.post('/api/login', authRateLimit, (req, res) => {
+  const body = req.body || {};
+  accounts.login(body.username, body.password)
+    .then((result) => res.json(result))
+    .catch((e) => sendAccountError(res, e));
+});
+
+app.post('/api/logout', requireAccount, (req, res) => {
+  accounts.logout(req.accountToken);
+  res.sendStatus(204);
+});
+
+app.get('/api/account', requireAccount, (req, res) => {
+  res.json(accounts.getPublicAccount(req.account));
+});
+
+// Keybinds and theme
+app.put('/api/account/settings', requireAccount, (req, res) => {
+  try {
+    res.json(accounts.updateSettings(req.account, req.body));
+  } catch (e) {
+    sendAccountError(res, e);
+  }
+});
+
+// Bad bodies (malformed JSON, too large) get a JSON error like everything else under /api
+app.use('/api', (err, req, res, next) => {
+  if (err.status && err.status < 500) {
+    res.status(err.status).json({ error: 'Invalid request' });
+  } else {
+    next(err);
+  }
+});
+
+// Per-client send statistics (snapshot rate, skipped snapshots, buffered bytes)
+app.get('/debug/clients', localOnly, (req, res) => {
+  res.json(gameServer.getClientStats());
+});
+
+// Per-room tick phase timings (rolling percentiles) and entity counts
+app.get('/debug/perf', localOnly, (req, res) => {
+  res.json(gameServer.getPerfStats());
+});
+
+// Graceful shutdown: warn players, drain, then exit. A second signal exits right away
+const shutdownCountdown = process.env.SHUTDOWN_COUNTDOWN_MS
+  ? Number(process.env.SHUTDOWN_COUNTDOWN_MS)
+  : NetworkConstants.SHUTDOWN_COUNTDOWN;
+let shuttingDown = false;
+
+function shutdown(signal) {
+  if (shuttingDown) {
+    console.log(`${signal} received again, exiting`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  console.log(`${signal} received, draining`);
+  gameServer.drain(shutdownCountdown).then(() => {
+    server.close();
+    // Give close frames a moment to go out (ending sessions adds to stats and leaderboards, so save after)
+    setTimeout(() => {
+      accounts.save();
+      leaderboards.save();
+      process.exit(0);
+    }, 1000);
+  });
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 console.log(`Game server initialized`);
 
@@ -0,0 +1,194 @@
+/**
+ * Headless simulation runner: builds a GameWorld without Express or
+ * WebSockets, runs it as fast as possible, and prints per-phase tick timings
+ * and gameplay stats. Used to tune PhysicsConstants with numbers.
+ *
+ *   npm run simulate -- --ticks 3600 --seed 42 --bots 50
+ *   npm run simulate -- --mode wager --config world.json --physics physics.json
+ *   npm run simulate -- --dump-dir dumps --dump-every 600 --json
+ */
+
+import { parseArgs } from 'node:util';
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { GameWorld } from './GameWorld.js';
+import { SimulationClock } from './SimulationClock.js';
+import { Random } from './Random.js';
+import { TickProfiler } from './TickProfiler.js';
+import { RoomModes, DEFAULT_MODE } from './RoomModes.js';
+import { PhysicsConstants } from '../shared/PhysicsConstants.js';
+import { TICK_RATE } from '../shared/Movement.js';
+
+const USAGE = `Usage: node server/simulate.js [options]
+
+  --ticks <n>         Ticks to simulate (default 3600 = one minute of game time)
+  --seed <n>          World seed (default: random, printed in the summary)
+  --bots <n>          Bot count (default: the mode's botCount)
+  --mode <name>       Room mode whose config to start from (default ${DEFAULT_MODE})
+  --config <file>     JSON overrides for the world config
+  --physics <file>    JSON overrides for PhysicsConstants
+  --dump-dir <dir>    Write the full world state (world.save() plus config) to <dir>/tick-<n>.json periodically
+  --dump-every <n>    Ticks between state dumps (default 600)
+  --json              Print the summary as JSON
+  --help              Show this help`;
+
+function readJson(path) {
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+function parseOptions() {
+  const { values } = parseArgs({
+    options: {
+      ticks: { type: 'string', default: '3600' },
+      seed: { type: 'string' },
+      bots: { type: 'string' },
+      mode: { type: 'string', default: DEFAULT_MODE },
+      config: { type: 'string' },
+      physics: { type: 'string' },
+      'dump-dir': { type: 'string' },
+      'dump-every': { type: 'string', default: '600' },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const mode = RoomModes[values.mode];
+  if (!mode) {
+    throw new Error(`Unknown mode "${values.mode}" (expected one of: ${Object.keys(RoomModes).join(', ')})`);
+  }
+
+  const config = { ...mode.config, ...(values.config ? readJson(values.config) : {}) };
+  if (values.bots !== undefined) {
+    config.botCount = parseCount(values.bots, '--bots');
+  }
+
+  return {
+    ticks: parseCount(values.ticks, '--ticks'),
+    seed: values.seed !== undefined ? parseCount(values.seed, '--seed') : undefined,
+    mode: values.mode,
+    config,
+    physics: values.physics ? readJson(values.physics) : null,
+    dumpDir: values['dump-dir'] || null,
+    dumpEvery: Math.max(1, parseCount(values['dump-every'], '--dump-every')),
+    json: values.json
+  };
+}
+
+function parseCount(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative integer, got "${value}"`);
+  }
+  return number;
+}
+
+// The world.save() format (as in world saves, loadable with GameWorld.load), plus the config it ran with
+function writeDump(world, dumpDir) {
+  const path = join(dumpDir, `tick-${String(world.clock.tick).padStart(8, '0')}.json`);
+  writeFileSync(path, JSON.stringify({
+    config: world.config,
+    ...world.save()
+  }));
+}
+
+function summarizePlayers(world) {
+  const players = Array.from(world.players.values()).map((player) => ({
+    id: player.id,
+    name: player.name,
+    isBot: !!player.isBot,
+    cells: player.cells.length,
+    mass: Math.round(player.getTotalMass())
+  }));
+  players.sort((a, b) => b.mass - a.mass);
+
+  const masses = players.map((player) => player.mass);
+  const total = masses.reduce((sum, mass) => sum + mass, 0);
+  return {
+    count: players.length,
+    totalMass: total,
+    meanMass: players.length > 0 ? Math.round(total / players.length) : 0,
+    maxMass: players.length > 0 ? masses[0] : 0,
+    minMass: players.length > 0 ? masses[masses.length - 1] : 0,
+    top: players.slice(0, 10)
+  };
+}
+
+function printSummary(summary) {
+  const ms = (value) => value.toFixed(3).padStart(9);
+  console.log(`Simulated ${summary.ticks} ticks (${summary.simulatedSeconds}s of game time) ` +
+    `in ${summary.wallSeconds}s - ${summary.ticksPerSecond} ticks/s`);
+  console.log(`Mode ${summary.mode}, seed ${summary.seed}`);
+
+  console.log('\nTick phases (ms):');
+  console.log(`${'phase'.padEnd(20)}${'mean'.padStart(9)}${'p50'.padStart(9)}${'p95'.padStart(9)}` +
+    `${'p99'.padStart(9)}${'max'.padStart(9)}`);
+  Object.entries(summary.phases).forEach(([phase, stats]) => {
+    console.log(`${phase.padEnd(20)}${ms(stats.mean)}${ms(stats.p50)}${ms(stats.p95)}${ms(stats.p99)}${ms(stats.max)}`);
+  });
+
+  console.log('\nEvents:');
+  Object.entries(summary.stats).forEach(([name, count]) => {
+    console.log(`  ${name.padEnd(18)}${count}`);
+  });
+
+  const players = summary.players;
+  console.log(`\nPlayers: ${players.count}, mass total ${players.totalMass}, ` +
+    `mean ${players.meanMass}, min ${players.minMass}, max ${players.maxMass}`);
+  players.top.forEach((player, index) => {
+    console.log(`  ${String(index + 1).padStart(2)}. ${player.name.padEnd(20)}${String(player.mass).padStart(8)} mass` +
+      `  ${player.cells} cells`);
+  });
+}
+
+function main() {
+  let options;
+  try {
+    options = parseOptions();
+  } catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    process.exit(1);
+  }
+  if (options.physics) {
+    Object.assign(PhysicsConstants, options.physics);
+  }
+  if (options.dumpDir) {
+    mkdirSync(options.dumpDir, { recursive: true });
+  }
+
+  const world = new GameWorld(options.config, new SimulationClock(), new Random(options.seed));
+  world.profiler = new TickProfiler(Math.max(1, options.ticks));
+
+  const startedAt = performance.now();
+  for (let i = 0; i < options.ticks; i++) {
+    world.tick();
+    if (options.dumpDir && world.clock.tick % options.dumpEvery === 0) {
+      writeDump(world, options.dumpDir);
+    }
+  }
+  const wallSeconds = (performance.now() - startedAt) / 1000;
+
+  const summary = {
+    mode: options.mode,
+    seed: world.random.seed,
+    ticks: options.ticks,
+    simulatedSeconds: +(options.ticks / TICK_RATE).toFixed(1),
+    wallSeconds: +wallSeconds.toFixed(2),
+    ticksPerSecond: Math.round(options.ticks / Math.max(wallSeconds, 1e-9)),
+    phases: world.profiler.getStats(),
+    stats: world.stats,
+    players: summarizePlayers(world)
+  };
+
+  if (options.json) {
+    console.log(JSON.stringify(summary, null, 2));
+  } else {
+    printSummary(summary);
+  }
+}
+
+main();
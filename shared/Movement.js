@@ -0,0 +1,360 @@
+/**
+ * Cell movement model shared by the server simulation and client-side prediction
+ * Functions work on plain cell-like objects and take the current time explicitly,
+ * so the client can replay inputs on its own timeline
+ */
+
+import { PhysicsConstants } from './PhysicsConstants.js';
+
+// Cell state machine states
+export const CellState = {
+  IDLE: 'IDLE',
+  MOVING: 'MOVING',
+  SPLITTING: 'SPLITTING',
+  SPLIT_TRAVEL: 'SPLIT_TRAVEL',
+  MERGE_READY: 'MERGE_READY',
+  MERGING: 'MERGING',
+  DEAD: 'DEAD'
+};
+
+// Movement is integrated once per server tick
+export const TICK_RATE = 60;
+export const TICK_MS = 1000 / TICK_RATE;
+
+export function getCellRadius(mass) {
+  const baseRadius = Math.sqrt(mass / Math.PI);
+  const scaleFactor = PhysicsConstants.RADIUS_BASE_SCALE +
+                     Math.min(mass / PhysicsConstants.RADIUS_SCALE_MASS, PhysicsConstants.RADIUS_MAX_SCALE);
+  return baseRadius * scaleFactor;
+}
+
+function setCellState(cell, state) {
+  // Server cells keep a state history; predicted cells are plain objects
+  if (typeof cell.setState === 'function') {
+    cell.setState(state);
+  } else {
+    cell.state = state;
+  }
+}
+
+export function hasSplitImmunity(cell, now) {
+  return now < cell.splitImmunityUntil;
+}
+
+export function hasDirectionLock(cell, now) {
+  return cell.steerLocked && now < cell.splitDirectionLockUntil;
+}
+
+/**
+ * Integrate one tick of a single cell's movement toward the input direction.
+ */
+export function updateCellMovement(cell, inputDirX, inputDirY, config, now) {
+  const hasInput = Math.abs(inputDirX) + Math.abs(inputDirY) > 0;
+  const isInSplitTravel = cell.state === CellState.SPLIT_TRAVEL;
+  const directionLocked = hasDirectionLock(cell, now);
+  const timeSinceSplit = now - cell.splitTime;
+
+  // Check if input is very small (cursor centered) - apply heavy damping
+  const inputMagnitude = Math.sqrt(inputDirX * inputDirX + inputDirY * inputDirY);
+  const isInputCentered = inputMagnitude < 0.1; // Very small input = cursor centered
+
+  // Update state based on movement
+  if (hasInput && !isInSplitTravel && !isInputCentered) {
+    if (cell.state === CellState.IDLE) {
+      setCellState(cell, CellState.MOVING);
+    }
+  } else if ((!hasInput || isInputCentered) && cell.state === CellState.MOVING && !isInSplitTravel) {
+    setCellState(cell, CellState.IDLE);
+  }
+
+  // If direction is locked (first 120ms after split), ignore input and maintain split direction
+  // SPLIT TRAVEL IS BALLISTIC - no steering allowed
+  if (directionLocked && (cell.splitDirectionX !== 0 || cell.splitDirectionY !== 0)) {
+    // DO NOT apply mouse steering - maintain ballistic trajectory
+    // Only apply friction (minimal)
+    const friction = 0.998; // Very low friction during ballistic travel
+    cell.vx *= friction;
+    cell.vy *= friction;
+    // DO NOT process input during direction lock - skip to position update
+  } else if (hasInput && !isInputCentered) {
+    const dirLen = Math.sqrt(inputDirX * inputDirX + inputDirY * inputDirY) || 1;
+    const dirX = inputDirX / dirLen;
+    const dirY = inputDirY / dirLen;
+
+    // Calculate target speed based on mass
+    const massRatio = Math.max(1, cell.mass / PhysicsConstants.MIN_MASS);
+    const speedReduction = Math.sqrt(Math.max(0, massRatio - 1)) * PhysicsConstants.MASS_FACTOR * 50;
+    let targetSpeed = PhysicsConstants.BASE_SPEED / (1 + speedReduction);
+
+    // Clamp max speed
+    const maxSpeed = PhysicsConstants.BASE_SPEED * PhysicsConstants.MAX_SPEED_MULTIPLIER;
+    targetSpeed = Math.min(targetSpeed, maxSpeed);
+
+    const targetVx = dirX * targetSpeed;
+    const targetVy = dirY * targetSpeed;
+
+    // Smooth acceleration toward target velocity
+    const currentSpeed = Math.sqrt(cell.vx * cell.vx + cell.vy * cell.vy);
+    const speedDiff = Math.abs(targetSpeed - currentSpeed);
+
+    // Adaptive response: faster when far from target, slower when close
+    const TURN_RESPONSE = 0.15;
+    const adaptiveResponse = Math.min(TURN_RESPONSE + (speedDiff / targetSpeed) * 0.1, PhysicsConstants.ACCELERATION_RATE);
+
+    // During split travel (but after direction lock), allow gradual steering
+    if (isInSplitTravel && !directionLocked) {
+      const splitResponse = adaptiveResponse * 0.5;
+      cell.vx = cell.vx * (1 - splitResponse) + targetVx * splitResponse;
+      cell.vy = cell.vy * (1 - splitResponse) + targetVy * splitResponse;
+    } else if (!isInSplitTravel) {
+      cell.vx = cell.vx * (1 - adaptiveResponse) + targetVx * adaptiveResponse;
+      cell.vy = cell.vy * (1 - adaptiveResponse) + targetVy * adaptiveResponse;
+    }
+  } else {
+    // No input or input centered: apply heavy damping to slow/stop cell
+    const dampingFactor = isInputCentered ? 0.85 : (isInSplitTravel ? 0.995 : PhysicsConstants.FRICTION);
+    cell.vx *= dampingFactor;
+    cell.vy *= dampingFactor;
+  }
+
+  // Update position (velocity-based movement)
+  cell.x += cell.vx;
+  cell.y += cell.vy;
+
+  // Apply mass decay
+  if (config.massDecayRate > 0 && cell.mass > PhysicsConstants.MASS_DECAY_THRESHOLD) {
+    const massMultiplier = 1 + (cell.mass / PhysicsConstants.RADIUS_SCALE_MASS);
+    const decayAmount = cell.mass * config.massDecayRate * massMultiplier;
+    cell.mass = Math.max(PhysicsConstants.MASS_DECAY_THRESHOLD, cell.mass - decayAmount);
+  }
+
+  // Boundary clamping
+  const radius = getCellRadius(cell.mass);
+  cell.x = Math.max(radius, Math.min(config.mapWidth - radius, cell.x));
+  cell.y = Math.max(radius, Math.min(config.mapHeight - radius, cell.y));
+
+  // Update split travel time
+  if (isInSplitTravel) {
+    cell.splitTravelTime = Math.max(0, PhysicsConstants.SPLIT_IMMUNITY_DURATION - timeSinceSplit);
+
+    // Check if split travel should end
+    if (timeSinceSplit >= PhysicsConstants.SPLIT_IMMUNITY_DURATION) {
+      cell.steerLocked = false;
+      cell.splitTravelTime = 0;
+      setCellState(cell, hasInput ? CellState.MOVING : CellState.IDLE);
+    }
+  }
+}
+
+/**
+ * Integrate one tick of movement for all of a player's cells: steering toward
+ * the input direction plus cursor attraction. input = {dirX, dirY, cursorX, cursorY}
+ */
+export function updatePlayerMovement(cells, input, config, now) {
+  if (cells.length === 0) return;
+
+  // Check if cursor is centered (close to player center) - if so, bring cells together
+  const centerX = cells.reduce((sum, cell) => sum + cell.x, 0) / cells.length;
+  const centerY = cells.reduce((sum, cell) => sum + cell.y, 0) / cells.length;
+  const cursorDx = input.cursorX - centerX;
+  const cursorDy = input.cursorY - centerY;
+  const cursorDist = Math.sqrt(cursorDx * cursorDx + cursorDy * cursorDy);
+
+  // Calculate average radius to determine if cursor is "centered"
+  const radii = cells.map(cell => getCellRadius(cell.mass));
+  const avgRadius = radii.reduce((sum, r) => sum + r, 0) / radii.length;
+
+  // If cursor is within 1.5x average radius of center, bring cells together
+  const isCursorCentered = cursorDist < avgRadius * 1.5;
+
+  // Update each cell's movement
+  cells.forEach((cell) => {
+    // Check if cell just spawned (initial spawn only, not split cells) - prevent ALL movement to avoid speed boost
+    const timeSinceSpawn = now - cell.spawnTime;
+    const isInSplitTravel = cell.state === CellState.SPLIT_TRAVEL;
+    const hasSplitTime = cell.splitTime > 0;
+    // Only apply spawn immunity to initial spawns, not split cells
+    const isRecentlySpawned = timeSinceSpawn < PhysicsConstants.SPAWN_IMMUNITY_DURATION && !isInSplitTravel && !hasSplitTime;
+
+    // If recently spawned, completely prevent movement and skip all movement logic
+    if (isRecentlySpawned) {
+      // Force velocity to zero and skip all movement updates
+      cell.vx = 0;
+      cell.vy = 0;
+      return; // Skip ALL movement logic including updateMovement and cursor attraction
+    }
+
+    // Normal movement for non-spawned cells
+    updateCellMovement(cell, input.dirX, input.dirY, config, now);
+
+    // Enhanced cursor responsiveness: cells move toward cursor position for better merge control
+    // This adds skill gap - players who position cursor well get faster merges
+    const cellCursorDx = input.cursorX - cell.x;
+    const cellCursorDy = input.cursorY - cell.y;
+    const cellCursorDist = Math.sqrt(cellCursorDx * cellCursorDx + cellCursorDy * cellCursorDy);
+    const cellRadius = getCellRadius(cell.mass);
+
+    // Check if cursor is centered (very close to cell center) - if so, apply heavy damping instead
+    const isCursorCenteredOnCell = cellCursorDist < cellRadius * 0.4;
+
+    if (isCursorCenteredOnCell) {
+      // Cursor is centered: apply very heavy damping to slow/stop the cell (prevents shake)
+      const dampingFactor = 0.75; // Very heavy damping - almost stops the cell
+      cell.vx *= dampingFactor;
+      cell.vy *= dampingFactor;
+      // Don't apply cursor attraction when centered - prevents jitter
+      // Skip all cursor attraction logic when centered
+    } else if (cellCursorDist > 0 && cellCursorDist < avgRadius * 3.0) {
+      // Normalize direction toward cursor
+      const dirToCursorX = cellCursorDx / cellCursorDist;
+      const dirToCursorY = cellCursorDy / cellCursorDist;
+
+      // Stronger attraction when cursor is closer (skill-based: better cursor placement = faster merges)
+      let attractionStrength;
+      if (cellCursorDist < avgRadius * 0.8) {
+        // Cursor very close: moderate attraction (reduced from 0.8 to prevent shake)
+        attractionStrength = 0.4; // Reduced to prevent shake when near center
+      } else if (cellCursorDist < avgRadius * 1.5) {
+        // Cursor close: strong attraction
+        attractionStrength = 0.5;
+      } else if (cellCursorDist < avgRadius * 2.5) {
+        // Cursor medium distance: moderate attraction
+        attractionStrength = 0.3;
+      } else {
+        // Cursor far: weak attraction
+        attractionStrength = 0.15;
+      }
+
+      // Base speed scales with distance - closer cursor = faster response
+      const baseAttractionSpeed = 5.5; // Increased from 3.0 for more responsiveness
+      const distanceFactor = Math.min(1.0, avgRadius / Math.max(cellCursorDist, 1)); // Stronger when closer
+      const attractionSpeed = baseAttractionSpeed * (1 + distanceFactor * 0.5); // Up to 50% faster when close
+
+      // Add velocity toward cursor (skill-based: better cursor placement = faster cell movement)
+      cell.vx += dirToCursorX * attractionSpeed * attractionStrength;
+      cell.vy += dirToCursorY * attractionSpeed * attractionStrength;
+    }
+
+    // If cursor is centered, add additional attraction force toward center to bring cells together
+    // BUT only if cursor is NOT centered on this specific cell (prevents shake)
+    if (isCursorCentered && cells.length > 1 && !isCursorCenteredOnCell) {
+      const cellToCenterDx = centerX - cell.x;
+      const cellToCenterDy = centerY - cell.y;
+      const cellToCenterDist = Math.sqrt(cellToCenterDx * cellToCenterDx + cellToCenterDy * cellToCenterDy);
+
+      if (cellToCenterDist > 0) {
+        // Normalize direction toward center
+        const dirToCenterX = cellToCenterDx / cellToCenterDist;
+        const dirToCenterY = cellToCenterDy / cellToCenterDist;
+
+        // Apply strong attraction force when cursor is centered (skill-based merge boost)
+        const attractionStrength = Math.min(0.5, cellToCenterDist / 80); // Increased max from 0.3 to 0.5
+        const attractionSpeed = 4.5; // Increased from 3.0 for faster convergence
+
+        // Add velocity toward center (stronger for better merge control)
+        cell.vx += dirToCenterX * attractionSpeed * attractionStrength;
+        cell.vy += dirToCenterY * attractionSpeed * attractionStrength;
+      }
+    }
+  });
+}
+
+/**
+ * Push overlapping cells of the same player apart (push-out only, never affects eating).
+ */
+export function resolveCellOverlap(cells, now) {
+  for (let i = 0; i < cells.length; i++) {
+    for (let j = i + 1; j < cells.length; j++) {
+      const cell1 = cells[i];
+      const cell2 = cells[j];
+
+      // Skip if either cell has split immunity (they can overlap during split travel)
+      if (hasSplitImmunity(cell1, now) || hasSplitImmunity(cell2, now)) {
+        continue;
+      }
+
+      // Skip if cells are not alive
+      if (!cell1.isAlive || !cell2.isAlive) {
+        continue;
+      }
+
+      const dx = cell1.x - cell2.x;
+      const dy = cell1.y - cell2.y;
+      const distSq = dx * dx + dy * dy;
+
+      if (distSq === 0) continue; // Same position
+
+      const r1 = getCellRadius(cell1.mass);
+      const r2 = getCellRadius(cell2.mass);
+      const minDist = r1 + r2;
+
+      if (distSq < minDist * minDist) {
+        // Cells are overlapping - push them apart
+        const dist = Math.sqrt(distSq);
+        const overlap = minDist - dist;
+        if (overlap > 0) {
+          // Push-out formula: normalize(A.pos - B.pos) * overlap * 0.5
+          const pushX = (dx / dist) * overlap * 0.5;
+          const pushY = (dy / dist) * overlap * 0.5;
+
+          // Apply push-out (weighted by mass - heavier pushes less)
+          const totalMass = cell1.mass + cell2.mass;
+          const pushRatio1 = cell2.mass / totalMass;
+          const pushRatio2 = cell1.mass / totalMass;
+
+          cell1.x += pushX * pushRatio1;
+          cell1.y += pushY * pushRatio1;
+          cell2.x -= pushX * pushRatio2;
+          cell2.y -= pushY * pushRatio2;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Server side: the movement state of a cell, with timers relative to `now`.
+ */
+export function captureMovementState(cell, now) {
+  return {
+    id: cell.id,
+    x: cell.x,
+    y: cell.y,
+    vx: cell.vx,
+    vy: cell.vy,
+    mass: cell.mass,
+    state: cell.state,
+    steerLocked: cell.steerLocked,
+    splitDirectionX: cell.splitDirectionX,
+    splitDirectionY: cell.splitDirectionY,
+    splitAge: cell.splitTime > 0 ? now - cell.splitTime : null, // null = never split
+    spawnAge: now - cell.spawnTime,
+    directionLockRemaining: Math.max(0, cell.splitDirectionLockUntil - now),
+    immunityRemaining: Math.max(0, cell.splitImmunityUntil - now)
+  };
+}
+
+/**
+ * Client side: a plain cell the movement functions can simulate, rebuilt from
+ * a captured movement state on the local timeline.
+ */
+export function restoreMovementState(movement, now) {
+  return {
+    id: movement.id,
+    x: movement.x,
+    y: movement.y,
+    vx: movement.vx,
+    vy: movement.vy,
+    mass: movement.mass,
+    state: movement.state,
+    steerLocked: movement.steerLocked,
+    splitDirectionX: movement.splitDirectionX,
+    splitDirectionY: movement.splitDirectionY,
+    splitTime: movement.splitAge === null ? 0 : now - movement.splitAge,
+    spawnTime: now - movement.spawnAge,
+    splitDirectionLockUntil: now + movement.directionLockRemaining,
+    splitImmunityUntil: now + movement.immunityRemaining,
+    splitTravelTime: 0,
+    isAlive: true
+  };
+}
@@ -1,6 +1,7 @@
 /**
  * Centralized physics constants for the game
  * All timing, speed, and physics values are defined here
+ * Shared by the server simulation and client-side prediction
  */
 
 export const PhysicsConstants = {
@@ -12,6 +13,9 @@ export const PhysicsConstants = {
   FRICTION: 0.985,
   MAX_SPEED_MULTIPLIER: 1.5, // Max speed can be 1.5x base speed
   
+  // Spawn constants
+  SPAWN_IMMUNITY_DURATION: 300, // Freshly spawned cells don't move for 300ms
+  
   // Split constants
   SPLIT_MIN_MASS: 300,
   SPLIT_COOLDOWN: 1000, // 1 second (disabled if instant merge)
@@ -0,0 +1,1030 @@
+/**
+ * Binary wire protocol shared by the server and the browser client
+ *
+ * Every frame starts with a 2-byte header: [protocol version][message type].
+ * Positions are quantized to 1/POSITION_SCALE world units and stored as
+ * unsigned 16-bit integers, so maps can be at most 65535 / POSITION_SCALE
+ * units wide. Bump PROTOCOL_VERSION whenever the layout of any message changes.
+ */
+
+import { CellState } from './Movement.js';
+
+export const PROTOCOL_VERSION = 14;
+
+export const MessageType = {
+  // Server -> client
+  INIT: 1,
+  SNAPSHOT: 2,
+  PONG: 3,
+  SERVER_SHUTDOWN: 4,
+  DEATH: 5,
+  CHAT_MESSAGE: 6,
+  PARTY_STATE: 7,
+
+  // Client -> server
+  INPUT: 64,
+  ACTION: 65,
+  PING: 66,
+  SET_NAME: 67,
+  VIEWPORT: 68,
+  ACK: 69,
+  KEYFRAME_REQUEST: 70,
+  CHAT: 71,
+  PARTY: 72,
+  SPECTATE: 73,
+  LOGIN: 74
+};
+
+// Action names in wire order - the index is what goes over the wire
+export const ActionTypes = [
+  'split',
+  'doubleSplit',
+  'tripleSplit',
+  'split16',
+  'split32',
+  'feed',
+  'macroFeed',
+  'stop',
+  'respawn'
+];
+
+// Chat channels in wire order. Clients send on global or party; whisper and
+// system only come from the server
+export const ChatChannels = ['global', 'party', 'whisper', 'system'];
+
+// Party requests in wire order
+export const PartyActions = ['create', 'join', 'leave'];
+
+// Spectate requests in wire order: follow the top player, a given player, the
+// next or previous one by score, or roam freely around a position
+export const SpectateModes = ['top', 'player', 'next', 'previous', 'free'];
+
+// Cell states in wire order (movement state of the client's own cells)
+const CellStates = Object.values(CellState);
+
+export const POSITION_SCALE = 4; // 0.25 world unit precision
+const DIRECTION_SCALE = 32767;
+const PELLET_MASS_SCALE = 10;
+const TIMER_NONE = 0xffff; // u16 "never" for movement timers
+
+// Value kinds used by flat key/value records (config objects)
+const RecordKind = {
+  BOOLEAN: 0,
+  NUMBER: 1,
+  STRING: 2
+};
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+export class BinaryWriter {
+  constructor(initialSize = 1024) {
+    this.buffer = new ArrayBuffer(initialSize);
+    this.view = new DataView(this.buffer);
+    this.bytes = new Uint8Array(this.buffer);
+    this.offset = 0;
+  }
+
+  ensure(size) {
+    if (this.offset + size <= this.buffer.byteLength) return;
+    let newSize = this.buffer.byteLength * 2;
+    while (newSize < this.offset + size) {
+      newSize *= 2;
+    }
+    const newBuffer = new ArrayBuffer(newSize);
+    new Uint8Array(newBuffer).set(this.bytes.subarray(0, this.offset));
+    this.buffer = newBuffer;
+    this.view = new DataView(newBuffer);
+    this.bytes = new Uint8Array(newBuffer);
+  }
+
+  u8(value) {
+    this.ensure(1);
+    this.view.setUint8(this.offset, value);
+    this.offset += 1;
+  }
+
+  u16(value) {
+    this.ensure(2);
+    this.view.setUint16(this.offset, value);
+    this.offset += 2;
+  }
+
+  i16(value) {
+    this.ensure(2);
+    this.view.setInt16(this.offset, value);
+    this.offset += 2;
+  }
+
+  u32(value) {
+    this.ensure(4);
+    this.view.setUint32(this.offset, value);
+    this.offset += 4;
+  }
+
+  f32(value) {
+    this.ensure(4);
+    this.view.setFloat32(this.offset, value);
+    this.offset += 4;
+  }
+
+  f64(value) {
+    this.ensure(8);
+    this.view.setFloat64(this.offset, value);
+    this.offset += 8;
+  }
+
+  string(value) {
+    const encoded = textEncoder.encode(value || '');
+    const length = Math.min(encoded.length, 65535);
+    this.u16(length);
+    this.ensure(length);
+    this.bytes.set(encoded.subarray(0, length), this.offset);
+    this.offset += length;
+  }
+
+  finish() {
+    return this.bytes.slice(0, this.offset);
+  }
+}
+
+export class BinaryReader {
+  constructor(data) {
+    // Accept ArrayBuffer (browser) as well as Buffer/Uint8Array (Node)
+    const bytes = data instanceof ArrayBuffer
+      ? new Uint8Array(data)
+      : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  check(size) {
+    if (this.offset + size > this.view.byteLength) {
+      throw new Error('Truncated message');
+    }
+  }
+
+  u8() {
+    this.check(1);
+    const value = this.view.getUint8(this.offset);
+    this.offset += 1;
+    return value;
+  }
+
+  u16() {
+    this.check(2);
+    const value = this.view.getUint16(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  i16() {
+    this.check(2);
+    const value = this.view.getInt16(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  u32() {
+    this.check(4);
+    const value = this.view.getUint32(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  f32() {
+    this.check(4);
+    const value = this.view.getFloat32(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  f64() {
+    this.check(8);
+    const value = this.view.getFloat64(this.offset);
+    this.offset += 8;
+    return value;
+  }
+
+  string() {
+    const length = this.u16();
+    this.check(length);
+    const value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+    this.offset += length;
+    return value;
+  }
+}
+
+export function quantizePosition(value) {
+  return Math.max(0, Math.min(65535, Math.round(value * POSITION_SCALE)));
+}
+
+function quantizeDirection(value) {
+  const clamped = Math.max(-1, Math.min(1, value || 0));
+  return Math.round(clamped * DIRECTION_SCALE);
+}
+
+/**
+ * Input as the server will see it after encoding, so client-side prediction
+ * simulates exactly the values the server simulates.
+ */
+export function quantizeInput(input) {
+  return {
+    dirX: quantizeDirection(input.dirX) / DIRECTION_SCALE,
+    dirY: quantizeDirection(input.dirY) / DIRECTION_SCALE,
+    cursorX: Math.fround(input.cursorX),
+    cursorY: Math.fround(input.cursorY)
+  };
+}
+
+function clampUint(value, max) {
+  return Math.max(0, Math.min(max, Math.round(value || 0)));
+}
+
+function writeRecord(writer, record) {
+  const entries = Object.entries(record || {}).filter(([, value]) =>
+    typeof value === 'boolean' || typeof value === 'number' || typeof value === 'string');
+  writer.u8(entries.length);
+  entries.forEach(([key, value]) => {
+    writer.string(key);
+    if (typeof value === 'boolean') {
+      writer.u8(RecordKind.BOOLEAN);
+      writer.u8(value ? 1 : 0);
+    } else if (typeof value === 'number') {
+      writer.u8(RecordKind.NUMBER);
+      writer.f64(value);
+    } else {
+      writer.u8(RecordKind.STRING);
+      writer.string(value);
+    }
+  });
+}
+
+function readRecord(reader) {
+  const record = {};
+  const count = reader.u8();
+  for (let i = 0; i < count; i++) {
+    const key = reader.string();
+    const kind = reader.u8();
+    if (kind === RecordKind.BOOLEAN) {
+      record[key] = reader.u8() === 1;
+    } else if (kind === RecordKind.NUMBER) {
+      record[key] = reader.f64();
+    } else if (kind === RecordKind.STRING) {
+      record[key] = reader.string();
+    } else {
+      throw new Error(`Unknown record kind ${kind}`);
+    }
+  }
+  return record;
+}
+
+// Entity tables carried by snapshots, in wire order. Field values are
+// quantized on the server (so deltas compare wire values, not float noise)
+// and restored to world units on the client. At most 8 fields per table.
+const identity = (value) => value;
+const positionField = (name) => ({
+  name,
+  kind: 'u16',
+  quantize: quantizePosition,
+  dequantize: (value) => value / POSITION_SCALE
+});
+const massField = (kind, max) => ({
+  name: 'mass',
+  kind,
+  quantize: (value) => clampUint(value, max),
+  dequantize: identity
+});
+// Viruses, feed pellets and projectiles
+const circleFields = [positionField('x'), positionField('y'), massField('u16', 65535)];
+
+export const SnapshotTables = [
+  {
+    name: 'players',
+    idKind: 'u32',
+    fields: [
+      { name: 'name', kind: 'string', quantize: (value) => value || '', dequantize: identity },
+      { name: 'score', kind: 'u32', quantize: (value) => clampUint(value, 0xffffffff), dequantize: identity },
+      { name: 'color', kind: 'string', quantize: (value) => value || '', dequantize: identity },
+      { name: 'isBot', kind: 'u8', quantize: (value) => (value ? 1 : 0), dequantize: (value) => value === 1 }
+    ]
+  },
+  {
+    name: 'cells',
+    // Cell IDs are timestamp-derived and may be fractional, so keep full precision
+    idKind: 'f64',
+    fields: [
+      { name: 'ownerId', kind: 'u32', quantize: identity, dequantize: identity },
+      positionField('x'),
+      positionField('y'),
+      massField('u32', 0xffffffff)
+    ]
+  },
+  {
+    name: 'pellets',
+    idKind: 'u32',
+    fields: [
+      positionField('x'),
+      positionField('y'),
+      {
+        name: 'mass',
+        kind: 'u8',
+        quantize: (value) => clampUint(value * PELLET_MASS_SCALE, 255),
+        dequantize: (value) => value / PELLET_MASS_SCALE
+      },
+      { name: 'hue', kind: 'u16', quantize: (value) => clampUint(value, 359), dequantize: identity }
+    ]
+  },
+  { name: 'viruses', idKind: 'u32', fields: circleFields },
+  { name: 'feedPellets', idKind: 'u32', fields: circleFields },
+  { name: 'virusProjectiles', idKind: 'u32', fields: circleFields }
+];
+
+// Game events carried by snapshots, in wire order. Every event has a type
+// and the position it happened at; these are the fields that follow.
+const idField = (name) => ({ name, kind: 'u32', quantize: (value) => clampUint(value, 0xffffffff), dequantize: identity });
+const cellIdField = (name) => ({ name, kind: 'f64', quantize: identity, dequantize: identity });
+const countField = (name) => ({ name, kind: 'u8', quantize: (value) => clampUint(value, 255), dequantize: identity });
+const flagField = (name) => ({ name, kind: 'u8', quantize: (value) => (value ? 1 : 0), dequantize: (value) => value === 1 });
+const eventPositionFields = [positionField('x'), positionField('y')];
+
+export const GameEvents = [
+  {
+    name: 'cellEaten',
+    fields: [idField('eaterId'), cellIdField('eaterCellId'), idField('victimId'), cellIdField('victimCellId'),
+      massField('u32', 0xffffffff)]
+  },
+  // A player's last cell was eaten
+  { name: 'playerKilled', fields: [idField('playerId'), idField('killerId')] },
+  // mergedCellId was absorbed into cellId, which now has this mass and position
+  { name: 'merge', fields: [idField('playerId'), cellIdField('cellId'), cellIdField('mergedCellId'), massField('u32', 0xffffffff)] },
+  { name: 'split', fields: [idField('playerId'), countField('pieces')] },
+  // A cell ran into a virus and burst into pieces
+  { name: 'virusPopped', fields: [idField('playerId'), cellIdField('cellId'), idField('virusId'), countField('pieces')] },
+  // exploded: the cell was big enough to burst, otherwise it ate the projectile
+  {
+    name: 'projectileHit',
+    fields: [idField('playerId'), cellIdField('cellId'), flagField('exploded'), massField('u16', 65535)]
+  },
+  // feed: a fed pellet rather than a spawned one; mass is what the cell gained
+  {
+    name: 'pelletEaten',
+    fields: [idField('playerId'), cellIdField('cellId'), flagField('feed'),
+      { name: 'mass', kind: 'f32', quantize: identity, dequantize: identity }]
+  }
+];
+const gameEventIndex = new Map(GameEvents.map((event, index) => [event.name, index]));
+const gameEventWireFields = GameEvents.map((event) => eventPositionFields.concat(event.fields));
+
+// Snapshot states older than this many sequence numbers can't be used as a delta baseline
+export const SNAPSHOT_HISTORY_SIZE = 64;
+
+/**
+ * Server side: quantize a (culled) world snapshot into per-table maps of
+ * id -> array of wire values, in SnapshotTables field order.
+ */
+export function buildSnapshotState(snapshot) {
+  const sources = {
+    cells: []
+  };
+  snapshot.players.forEach((player) => {
+    player.cells.forEach((cell) => {
+      sources.cells.push({ ...cell, ownerId: player.id });
+    });
+  });
+
+  const state = {};
+  SnapshotTables.forEach((table) => {
+    const entries = new Map();
+    (sources[table.name] || snapshot[table.name] || []).forEach((entity) => {
+      entries.set(entity.id, table.fields.map((field) => field.quantize(entity[field.name])));
+    });
+    state[table.name] = entries;
+  });
+  return state;
+}
+
+/**
+ * Server side: entities created, changed or removed between two quantized
+ * states. Each upsert carries a field bitmask - created entities set every bit.
+ */
+export function diffSnapshotStates(baseline, current) {
+  const delta = {};
+  SnapshotTables.forEach((table) => {
+    const before = baseline ? baseline[table.name] : null;
+    const after = current[table.name];
+    const removed = [];
+    const upserts = [];
+
+    if (before) {
+      before.forEach((values, id) => {
+        if (!after.has(id)) removed.push(id);
+      });
+    }
+
+    after.forEach((values, id) => {
+      const previous = before ? before.get(id) : undefined;
+      let mask = 0;
+      for (let i = 0; i < values.length; i++) {
+        if (!previous || previous[i] !== values[i]) {
+          mask |= 1 << i;
+        }
+      }
+      if (mask !== 0) {
+        upserts.push({ id, mask, values });
+      }
+    });
+
+    delta[table.name] = { removed, upserts };
+  });
+  return delta;
+}
+
+/**
+ * Client side: an empty state (keyframe baseline). Tables map id -> entity object.
+ */
+export function createSnapshotState() {
+  const state = { seq: 0, timestamp: 0 };
+  SnapshotTables.forEach((table) => {
+    state[table.name] = new Map();
+  });
+  return state;
+}
+
+/**
+ * Client side: apply a decoded snapshot delta to its baseline state.
+ * Unchanged entities keep their object identity, so callers can detect
+ * changes between any two states with a reference comparison.
+ */
+export function applySnapshotDelta(baseline, message) {
+  const state = { seq: message.seq, timestamp: message.timestamp };
+  SnapshotTables.forEach((table) => {
+    const entries = new Map(baseline[table.name]);
+    const tableDelta = message.delta[table.name];
+    tableDelta.removed.forEach((id) => entries.delete(id));
+    tableDelta.upserts.forEach((upsert) => {
+      const previous = entries.get(upsert.id);
+      entries.set(upsert.id, previous ? { ...previous, ...upsert.values } : { id: upsert.id, ...upsert.values });
+    });
+    state[table.name] = entries;
+  });
+  return state;
+}
+
+// Movement state of the client's own cells, used to reconcile client-side prediction
+function writeMovementStates(writer, cells) {
+  writer.u8(cells.length);
+  cells.forEach((cell) => {
+    writer.f64(cell.id);
+    writer.f32(cell.x);
+    writer.f32(cell.y);
+    writer.f32(cell.vx);
+    writer.f32(cell.vy);
+    writer.f32(cell.mass);
+    writer.u8(Math.max(0, CellStates.indexOf(cell.state)));
+    writer.u8(cell.steerLocked ? 1 : 0);
+    writer.i16(quantizeDirection(cell.splitDirectionX));
+    writer.i16(quantizeDirection(cell.splitDirectionY));
+    writer.u16(cell.splitAge === null ? TIMER_NONE : clampUint(cell.splitAge, TIMER_NONE - 1));
+    writer.u16(clampUint(cell.spawnAge, TIMER_NONE));
+    writer.u16(clampUint(cell.directionLockRemaining, TIMER_NONE));
+    writer.u16(clampUint(cell.immunityRemaining, TIMER_NONE));
+  });
+}
+
+function readMovementStates(reader) {
+  const count = reader.u8();
+  const cells = new Array(count);
+  for (let i = 0; i < count; i++) {
+    const id = reader.f64();
+    const x = reader.f32();
+    const y = reader.f32();
+    const vx = reader.f32();
+    const vy = reader.f32();
+    const mass = reader.f32();
+    const state = CellStates[reader.u8()] || CellState.IDLE;
+    const steerLocked = reader.u8() === 1;
+    const splitDirectionX = reader.i16() / DIRECTION_SCALE;
+    const splitDirectionY = reader.i16() / DIRECTION_SCALE;
+    const splitAge = reader.u16();
+    cells[i] = {
+      id, x, y, vx, vy, mass, state, steerLocked, splitDirectionX, splitDirectionY,
+      splitAge: splitAge === TIMER_NONE ? null : splitAge,
+      spawnAge: reader.u16(),
+      directionLockRemaining: reader.u16(),
+      immunityRemaining: reader.u16()
+    };
+  }
+  return cells;
+}
+
+function writeSnapshotDelta(writer, delta) {
+  SnapshotTables.forEach((table) => {
+    const tableDelta = delta[table.name];
+    writer.u16(tableDelta.removed.length);
+    tableDelta.removed.forEach((id) => writer[table.idKind](id));
+    writer.u16(tableDelta.upserts.length);
+    tableDelta.upserts.forEach((upsert) => {
+      writer[table.idKind](upsert.id);
+      writer.u8(upsert.mask);
+      table.fields.forEach((field, i) => {
+        if (upsert.mask & (1 << i)) {
+          writer[field.kind](upsert.values[i]);
+        }
+      });
+    });
+  });
+}
+
+function readSnapshotDelta(reader) {
+  const delta = {};
+  SnapshotTables.forEach((table) => {
+    const removedCount = reader.u16();
+    const removed = new Array(removedCount);
+    for (let i = 0; i < removedCount; i++) {
+      removed[i] = reader[table.idKind]();
+    }
+    const upsertCount = reader.u16();
+    const upserts = new Array(upsertCount);
+    for (let i = 0; i < upsertCount; i++) {
+      const id = reader[table.idKind]();
+      const mask = reader.u8();
+      const values = {};
+      table.fields.forEach((field, j) => {
+        if (mask & (1 << j)) {
+          values[field.name] = field.dequantize(reader[field.kind]());
+        }
+      });
+      upserts[i] = { id, values };
+    }
+    delta[table.name] = { removed, upserts };
+  });
+  return delta;
+}
+
+function writeGameEvents(writer, events) {
+  writer.u16(events.length);
+  events.forEach((event) => {
+    const index = gameEventIndex.get(event.type);
+    writer.u8(index);
+    gameEventWireFields[index].forEach((field) => {
+      writer[field.kind](field.quantize(event[field.name]));
+    });
+  });
+}
+
+function readGameEvents(reader) {
+  const count = reader.u16();
+  const events = new Array(count);
+  for (let i = 0; i < count; i++) {
+    const index = reader.u8();
+    if (!GameEvents[index]) {
+      throw new Error('Unknown game event index');
+    }
+    const event = { type: GameEvents[index].name };
+    gameEventWireFields[index].forEach((field) => {
+      event[field.name] = field.dequantize(reader[field.kind]());
+    });
+    events[i] = event;
+  }
+  return events;
+}
+
+function writeChatChannel(writer, channel) {
+  const index = ChatChannels.indexOf(channel);
+  if (index === -1) {
+    throw new Error(`Unknown chat channel: ${channel}`);
+  }
+  writer.u8(index);
+}
+
+function readChatChannel(reader) {
+  const channel = ChatChannels[reader.u8()];
+  if (!channel) {
+    throw new Error('Unknown chat channel index');
+  }
+  return channel;
+}
+
+const encoders = {
+  init(writer, message) {
+    writer.u32(message.playerId);
+    // The room the server placed us in (a mode name may have been matchmade to 'instant-2')
+    writer.string(message.roomId);
+    writer.string(message.mode);
+    writeRecord(writer, message.config);
+    // Presented on reconnect to reclaim the same player
+    writer.string(message.resumeToken);
+    writer.u8(message.resumed ? 1 : 0);
+  },
+
+  snapshot(writer, message) {
+    // baselineSeq 0 means keyframe: the delta is against an empty state
+    writer.u32(message.seq);
+    writer.u32(message.baselineSeq);
+    writer.f64(message.timestamp);
+    writeSnapshotDelta(writer, message.delta);
+
+    // Last input the server simulated for this client, and where that left its cells
+    writer.u32(message.inputSeq || 0);
+    writeMovementStates(writer, message.movement || []);
+
+    // Leaderboard is world-wide, independent of the client's view
+    writer.u16(message.playerCount || 0);
+    const leaderboard = message.leaderboard || [];
+    writer.u8(leaderboard.length);
+    leaderboard.forEach((entry) => {
+      writer.u32(entry.id);
+      writer.string(entry.name);
+      writer.u32(clampUint(entry.score, 0xffffffff));
+    });
+
+    // What happened since the last snapshot this client got, near its view or to its player
+    writeGameEvents(writer, message.events || []);
+
+    // Party members in this room, wherever they are on the map (for the minimap)
+    const party = message.party || [];
+    writer.u8(party.length);
+    party.forEach((member) => {
+      writer.u32(member.playerId);
+      writer.u16(quantizePosition(member.x));
+      writer.u16(quantizePosition(member.y));
+    });
+
+    // The player this view follows when spectating (0: our own cells, or free roam)
+    writer.u32(message.spectateTarget || 0);
+  },
+
+  pong(writer, message) {
+    // Echoed client timestamp plus the server clock, for clock offset estimation
+    writer.f64(message.timestamp);
+    writer.f64(message.serverTime);
+  },
+
+  serverShutdown(writer, message) {
+    // Milliseconds until the server closes every socket
+    writer.u32(clampUint(message.countdownMs, 0xffffffff));
+    writer.string(message.reason);
+  },
+
+  death(writer, message) {
+    // Stats of the life that just ended (killerId 0: nobody)
+    writer.u32(message.killerId);
+    writer.string(message.killerName);
+    writer.u32(clampUint(message.timeAlive, 0xffffffff)); // Simulation ms
+    writer.u32(clampUint(message.peakMass, 0xffffffff));
+    writer.u32(clampUint(message.massEaten, 0xffffffff));
+    writer.u32(clampUint(message.pelletsEaten, 0xffffffff));
+    writer.u16(clampUint(message.splits, 65535));
+    writer.u16(clampUint(message.virusesHit, 65535));
+    const kills = message.kills.slice(0, 255);
+    writer.u8(kills.length);
+    kills.forEach((name) => writer.string(name));
+  },
+
+  chatMessage(writer, message) {
+    writeChatChannel(writer, message.channel);
+    writer.u32(message.playerId); // 0 for system messages
+    writer.string(message.name);
+    writer.string(message.target || ''); // Whisper recipient, on the sender's copy
+    writer.string(message.message);
+    writer.f64(message.timestamp);
+  },
+
+  partyState(writer, message) {
+    // Empty code: not in a party
+    writer.string(message.code);
+    writer.string(message.memberKey); // The recipient's key, passed back as ?party= on reconnect
+    writer.u32(message.leaderId);
+    writer.string(message.roomId); // The leader's room, where members should be
+    writer.u8(message.members.length);
+    message.members.forEach((member) => {
+      writer.u32(member.playerId);
+      writer.string(member.name);
+      writer.string(member.roomId);
+      writer.u8(member.online ? 1 : 0);
+    });
+  },
+
+  input(writer, message) {
+    writer.u32(message.seq);
+    writer.i16(quantizeDirection(message.input.dirX));
+    writer.i16(quantizeDirection(message.input.dirY));
+    writer.f32(message.input.cursorX);
+    writer.f32(message.input.cursorY);
+  },
+
+  action(writer, message) {
+    const index = ActionTypes.indexOf(message.action.type);
+    if (index === -1) {
+      throw new Error(`Unknown action type: ${message.action.type}`);
+    }
+    writer.u8(index);
+  },
+
+  ping(writer, message) {
+    writer.f64(message.timestamp);
+  },
+
+  setName(writer, message) {
+    writer.string(message.name);
+  },
+
+  viewport(writer, message) {
+    writer.u16(clampUint(message.width, 65535));
+    writer.u16(clampUint(message.height, 65535));
+    writer.f32(message.zoom);
+  },
+
+  ack(writer, message) {
+    writer.u32(message.seq);
+  },
+
+  keyframeRequest() {},
+
+  chat(writer, message) {
+    writeChatChannel(writer, message.channel);
+    writer.string(message.message);
+  },
+
+  party(writer, message) {
+    const index = PartyActions.indexOf(message.action);
+    if (index === -1) {
+      throw new Error(`Unknown party action: ${message.action}`);
+    }
+    writer.u8(index);
+    writer.string(message.code || ''); // Only used by join
+  },
+
+  spectate(writer, message) {
+    const index = SpectateModes.indexOf(message.mode);
+    if (index === -1) {
+      throw new Error(`Unknown spectate mode: ${message.mode}`);
+    }
+    writer.u8(index);
+    writer.u32(message.targetId || 0); // player mode
+    writer.f32(message.x || 0); // free mode: camera center in world units
+    writer.f32(message.y || 0);
+  },
+
+  // Account login token - sent as a message so it stays out of URLs and access logs
+  login(writer, message) {
+    writer.string(message.token);
+  }
+};
+
+const decoders = {
+  init(reader) {
+    return {
+      playerId: reader.u32(),
+      roomId: reader.string(),
+      mode: reader.string(),
+      config: readRecord(reader),
+      resumeToken: reader.string(),
+      resumed: reader.u8() === 1
+    };
+  },
+
+  snapshot(reader) {
+    const seq = reader.u32();
+    const baselineSeq = reader.u32();
+    const timestamp = reader.f64();
+    const delta = readSnapshotDelta(reader);
+    const inputSeq = reader.u32();
+    const movement = readMovementStates(reader);
+
+    const playerCountTotal = reader.u16();
+    const leaderboardCount = reader.u8();
+    const leaderboard = new Array(leaderboardCount);
+    for (let i = 0; i < leaderboardCount; i++) {
+      leaderboard[i] = {
+        id: reader.u32(),
+        name: reader.string(),
+        score: reader.u32()
+      };
+    }
+    const events = readGameEvents(reader);
+    const partyCount = reader.u8();
+    const party = new Array(partyCount);
+    for (let i = 0; i < partyCount; i++) {
+      party[i] = {
+        playerId: reader.u32(),
+        x: reader.u16() / POSITION_SCALE,
+        y: reader.u16() / POSITION_SCALE
+      };
+    }
+    const spectateTarget = reader.u32();
+
+    return {
+      seq,
+      baselineSeq,
+      timestamp,
+      delta,
+      inputSeq,
+      movement,
+      playerCount: playerCountTotal,
+      leaderboard,
+      events,
+      party,
+      spectateTarget
+    };
+  },
+
+  pong(reader) {
+    return {
+      timestamp: reader.f64(),
+      serverTime: reader.f64()
+    };
+  },
+
+  serverShutdown(reader) {
+    return {
+      countdownMs: reader.u32(),
+      reason: reader.string()
+    };
+  },
+
+  death(reader) {
+    const message = {
+      killerId: reader.u32(),
+      killerName: reader.string(),
+      timeAlive: reader.u32(),
+      peakMass: reader.u32(),
+      massEaten: reader.u32(),
+      pelletsEaten: reader.u32(),
+      splits: reader.u16(),
+      virusesHit: reader.u16()
+    };
+    const killCount = reader.u8();
+    message.kills = new Array(killCount);
+    for (let i = 0; i < killCount; i++) {
+      message.kills[i] = reader.string();
+    }
+    return message;
+  },
+
+  chatMessage(reader) {
+    return {
+      channel: readChatChannel(reader),
+      playerId: reader.u32(),
+      name: reader.string(),
+      target: reader.string(),
+      message: reader.string(),
+      timestamp: reader.f64()
+    };
+  },
+
+  partyState(reader) {
+    const message = {
+      code: reader.string(),
+      memberKey: reader.string(),
+      leaderId: reader.u32(),
+      roomId: reader.string()
+    };
+    const count = reader.u8();
+    message.members = new Array(count);
+    for (let i = 0; i < count; i++) {
+      message.members[i] = {
+        playerId: reader.u32(),
+        name: reader.string(),
+        roomId: reader.string(),
+        online: reader.u8() === 1
+      };
+    }
+    return message;
+  },
+
+  input(reader) {
+    return {
+      seq: reader.u32(),
+      input: {
+        dirX: reader.i16() / DIRECTION_SCALE,
+        dirY: reader.i16() / DIRECTION_SCALE,
+        cursorX: reader.f32(),
+        cursorY: reader.f32()
+      }
+    };
+  },
+
+  action(reader) {
+    const type = ActionTypes[reader.u8()];
+    if (!type) {
+      throw new Error('Unknown action index');
+    }
+    return { action: { type } };
+  },
+
+  ping(reader) {
+    return { timestamp: reader.f64() };
+  },
+
+  setName(reader) {
+    return { name: reader.string() };
+  },
+
+  viewport(reader) {
+    return {
+      width: reader.u16(),
+      height: reader.u16(),
+      zoom: reader.f32()
+    };
+  },
+
+  ack(reader) {
+    return { seq: reader.u32() };
+  },
+
+  keyframeRequest() {
+    return {};
+  },
+
+  chat(reader) {
+    return {
+      channel: readChatChannel(reader),
+      message: reader.string()
+    };
+  },
+
+  party(reader) {
+    const action = PartyActions[reader.u8()];
+    if (!action) {
+      throw new Error('Unknown party action index');
+    }
+    return { action, code: reader.string() };
+  },
+
+  spectate(reader) {
+    const mode = SpectateModes[reader.u8()];
+    if (!mode) {
+      throw new Error('Unknown spectate mode index');
+    }
+    return {
+      mode,
+      targetId: reader.u32(),
+      x: reader.f32(),
+      y: reader.f32()
+    };
+  },
+
+  login(reader) {
+    return { token: reader.string() };
+  }
+};
+
+// Message type name ('snapshot') <-> wire code (MessageType.SNAPSHOT)
+const typeCodes = {
+  init: MessageType.INIT,
+  snapshot: MessageType.SNAPSHOT,
+  pong: MessageType.PONG,
+  serverShutdown: MessageType.SERVER_SHUTDOWN,
+  death: MessageType.DEATH,
+  chatMessage: MessageType.CHAT_MESSAGE,
+  partyState: MessageType.PARTY_STATE,
+  input: MessageType.INPUT,
+  action: MessageType.ACTION,
+  ping: MessageType.PING,
+  setName: MessageType.SET_NAME,
+  viewport: MessageType.VIEWPORT,
+  ack: MessageType.ACK,
+  keyframeRequest: MessageType.KEYFRAME_REQUEST,
+  chat: MessageType.CHAT,
+  party: MessageType.PARTY,
+  spectate: MessageType.SPECTATE,
+  login: MessageType.LOGIN
+};
+const typeNames = {};
+Object.entries(typeCodes).forEach(([name, code]) => {
+  typeNames[code] = name;
+});
+
+export function encodeMessage(message) {
+  const code = typeCodes[message.type];
+  if (code === undefined) {
+    throw new Error(`Cannot encode message type: ${message.type}`);
+  }
+  const writer = new BinaryWriter(message.type === 'snapshot' ? 16384 : 64);
+  writer.u8(PROTOCOL_VERSION);
+  writer.u8(code);
+  encoders[message.type](writer, message);
+  return writer.finish();
+}
+
+export function decodeMessage(data) {
+  const reader = new BinaryReader(data);
+  const version = reader.u8();
+  if (version !== PROTOCOL_VERSION) {
+    throw new Error(`Unsupported protocol version ${version} (expected ${PROTOCOL_VERSION})`);
+  }
+  const code = reader.u8();
+  const type = typeNames[code];
+  if (!type) {
+    throw new Error(`Unknown message type code ${code}`);
+  }
+  const message = decoders[type](reader);
+  if (reader.offset !== reader.view.byteLength) {
+    throw new Error('Trailing bytes in message');
+  }
+  message.type = type;
+  return message;
+}
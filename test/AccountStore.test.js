@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { AccountStore, AccountError } from '../server/AccountStore.js';
+
+const PASSWORD = 'correct horse';
+
+test('register returns a token that authenticates the new account', async () => {
+  const store = new AccountStore(null);
+  const { token, account } = await store.register('Alice_1', PASSWORD);
+  assert.equal(account.username, 'Alice_1');
+  assert.equal(account.passwordHash, undefined); // Never leaves the store
+  assert.equal(store.authenticate(token).id, account.id);
+  assert.equal(store.authenticate('not-a-token'), null);
+  assert.equal(store.authenticate(''), null);
+});
+
+test('register refuses bad usernames, bad passwords and taken names', async () => {
+  const store = new AccountStore(null);
+  await assert.rejects(store.register('al', PASSWORD), { status: 400 });
+  await assert.rejects(store.register('no spaces', PASSWORD), AccountError);
+  await assert.rejects(store.register('Alice', 'short'), { status: 400 });
+  await store.register('Alice', PASSWORD);
+  await assert.rejects(store.register('ALICE', PASSWORD), { status: 409 });
+});
+
+test('login checks the password, case-insensitively by username', async () => {
+  const store = new AccountStore(null);
+  const { account } = await store.register('Alice', PASSWORD);
+  const { token } = await store.login('alice', PASSWORD);
+  assert.equal(store.authenticate(token).id, account.id);
+  await assert.rejects(store.login('Alice', 'wrong password'), { status: 401 });
+  await assert.rejects(store.login('Nobody', PASSWORD), { status: 401 });
+});
+
+test('logout and expiry end a token', async (t) => {
+  const store = new AccountStore(null);
+  const first = await store.register('Alice', PASSWORD);
+  const second = await store.login('Alice', PASSWORD);
+  store.logout(first.token);
+  assert.equal(store.authenticate(first.token), null);
+  assert.ok(store.authenticate(second.token));
+
+  const later = Date.now() + 31 * 24 * 60 * 60 * 1000;
+  t.mock.method(Date, 'now', () => later);
+  assert.equal(store.authenticate(second.token), null);
+  assert.equal(store.sessions.size, 0);
+});
+
+test('registered names are reserved for their account only', async () => {
+  const store = new AccountStore(null);
+  const { account } = await store.register('Alice', PASSWORD);
+  assert.equal(store.isNameReserved(' alice '), true);
+  assert.equal(store.isNameReserved('Alice', account.id), false);
+  assert.equal(store.isNameReserved('Bob'), false);
+});
+
+test('settings are validated and lives add up to lifetime stats', async () => {
+  const store = new AccountStore(null);
+  const { account: publicAccount } = await store.register('Alice', PASSWORD);
+  const account = store.getAccountById(publicAccount.id);
+  store.updateSettings(account, { theme: 'light', keybinds: { split: 'KeyX' } });
+  assert.deepEqual(account.settings, { theme: 'light', keybinds: { split: 'KeyX' } });
+  assert.throws(() => store.updateSettings(account, { theme: 'pink' }), AccountError);
+
+  const summary = { kills: ['Bob'], massEaten: 300, pelletsEaten: 20, peakMass: 900, timeAlive: 60000 };
+  store.recordLife(account.id, summary, true);
+  store.recordLife(account.id, { ...summary, kills: [], peakMass: 400 }, false);
+  assert.deepEqual(account.stats, {
+    lives: 2,
+    deaths: 1,
+    kills: 1,
+    massEaten: 600,
+    pelletsEaten: 40,
+    bestMass: 900,
+    timeAlive: 120000
+  });
+});
+
+test('accounts and tokens survive a reload, and the file holds no raw token', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'accounts-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const path = join(dir, 'accounts.json');
+
+  const store = new AccountStore(path);
+  const { token } = await store.register('Alice', PASSWORD);
+  store.save();
+  assert.ok(!readFileSync(path, 'utf8').includes(token));
+
+  const reloaded = new AccountStore(path);
+  assert.equal(reloaded.authenticate(token).username, 'Alice');
+  await reloaded.login('Alice', PASSWORD);
+  reloaded.save();
+});
+
+test('an accounts file of another version is refused, not overwritten', (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'accounts-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const path = join(dir, 'accounts.json');
+  writeFileSync(path, JSON.stringify({ version: 99, accounts: [], sessions: [] }));
+  assert.throws(() => new AccountStore(path), /version 99/);
+});
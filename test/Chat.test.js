@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Chat } from '../server/Chat.js';
+import { NetworkConstants } from '../server/NetworkConstants.js';
+
+// A Chat with a fake server that keeps every message it is asked to send
+function createChat(options = { modKey: 'secret' }) {
+  const sent = [];
+  const server = { send: (ws, message) => sent.push({ to: ws.owner, message }), parties: null };
+  return { chat: new Chat(server, options), sent };
+}
+
+let nextPlayerId = 1;
+function createClient(chat, room, address = '10.0.0.1') {
+  const client = {
+    playerId: nextPlayerId++,
+    address,
+    session: { token: `token-${nextPlayerId}` },
+    chatLimiter: chat.createLimiter(),
+    room,
+    party: null
+  };
+  client.ws = { readyState: 1, owner: client };
+  room.clients.set(client.playerId, client);
+  return client;
+}
+
+function createRoom() {
+  return { id: 'instant', clients: new Map(), world: { players: new Map() } };
+}
+
+// System replies to one client, newest last
+const replies = (sent, client) => sent
+  .filter((entry) => entry.to === client && entry.message.channel === 'system')
+  .map((entry) => entry.message.message);
+
+test('repeated wrong moderator keys lock the address out, even for the right key', (t) => {
+  const { chat, sent } = createChat();
+  const room = createRoom();
+  t.mock.method(console, 'warn', () => {});
+  for (let i = 0; i < NetworkConstants.MOD_LOGIN_MAX_FAILURES; i++) {
+    // A new connection each time: reconnecting must not reset the count
+    const client = createClient(chat, room);
+    chat.handleMessage(client, 'global', `/mod guess${i}`);
+    assert.deepEqual(replies(sent, client), ['Wrong moderator key']);
+  }
+
+  const client = createClient(chat, room);
+  chat.handleMessage(client, 'global', '/mod secret');
+  assert.match(replies(sent, client)[0], /Too many wrong keys/);
+  assert.equal(client.session.moderator, undefined);
+
+  // Other addresses are unaffected
+  const other = createClient(chat, room, '10.0.0.2');
+  chat.handleMessage(other, 'global', '/mod secret');
+  assert.equal(other.session.moderator, true);
+});
+
+test('commands are charged to the chat budget', () => {
+  const { chat, sent } = createChat();
+  const client = createClient(chat, createRoom());
+  for (let i = 0; i < NetworkConstants.CHAT_BURST; i++) {
+    chat.handleMessage(client, 'global', '/help');
+  }
+  chat.handleMessage(client, 'global', '/help');
+  assert.equal(replies(sent, client).at(-1), 'You are sending messages too fast');
+});
+
+test('a muted moderator cannot whisper or send notices', () => {
+  const { chat, sent } = createChat();
+  const room = createRoom();
+  const client = createClient(chat, room);
+  const target = createClient(chat, room, '10.0.0.2');
+  client.session.moderator = true;
+  chat.mutes.set(`session:${client.session.token}`, { expiresAt: Date.now() + 60000, name: '' });
+
+  chat.handleMessage(client, 'global', `/w #${target.playerId} hi`);
+  assert.match(replies(sent, client)[0], /You are muted/);
+  assert.equal(sent.filter((entry) => entry.to === target).length, 0);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameWorld } from '../server/GameWorld.js';
+import { SimulationClock } from '../server/SimulationClock.js';
+import { Random } from '../server/Random.js';
+
+const CONFIG = { botCount: 10, mapWidth: 1500, mapHeight: 1500, pelletCount: 200, virusCount: 5 };
+const TICKS = 600;
+
+// A world with one scripted player: it circles, splits and feeds on fixed ticks
+function runWorld(seed) {
+  const world = new GameWorld({ ...CONFIG }, new SimulationClock(), new Random(seed));
+  const playerId = world.createPlayer();
+  for (let tick = 0; tick < TICKS; tick++) {
+    const angle = tick / 60;
+    world.handleInput(playerId, {
+      dirX: Math.cos(angle),
+      dirY: Math.sin(angle),
+      cursorX: 750 + Math.cos(angle) * 300,
+      cursorY: 750 + Math.sin(angle) * 300
+    });
+    if (tick === 200) world.handleAction(playerId, { type: 'split' });
+    if (tick % 50 === 25) world.handleAction(playerId, { type: 'feed' });
+    world.tick();
+  }
+  return world.save();
+}
+
+test('the same seed and inputs produce the same world', () => {
+  const first = runWorld(42);
+  assert.equal(first.clock.tick, TICKS);
+  assert.equal(first.players.length, CONFIG.botCount + 1);
+  assert.deepEqual(runWorld(42), first);
+});
+
+test('a different seed produces a different world', () => {
+  const first = runWorld(42);
+  const second = runWorld(43);
+  // Not just the seed: where everything ended up
+  assert.notDeepEqual(second.players, first.players);
+  assert.notDeepEqual(second.pellets, first.pellets);
+});
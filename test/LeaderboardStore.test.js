@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { LeaderboardStore } from '../server/LeaderboardStore.js';
+
+function life(name, peakMass, endedAt, accountId = null) {
+  return { name, accountId, peakMass, kills: 1, timeAlive: 1000, endedAt };
+}
+
+const names = (table) => table.entries.map((entry) => entry.name);
+
+test('tables are ranked by peak mass, earlier first on a tie', (t) => {
+  const now = Date.UTC(2026, 9, 21, 12);
+  t.mock.method(Date, 'now', () => now);
+  const store = new LeaderboardStore(null);
+  store.record(life('Small', 500, now));
+  store.record(life('Big', 900, now));
+  store.record(life('Late', 500, now + 1));
+
+  const tables = store.getTables();
+  assert.deepEqual(names(tables.allTime), ['Big', 'Small', 'Late']);
+  assert.deepEqual(tables.allTime.entries.map((entry) => entry.rank), [1, 2, 3]);
+  assert.equal(tables.allTime.entries[0].registered, false);
+  assert.deepEqual(names(store.getTables(2).daily), ['Big', 'Small']);
+});
+
+test('a registered player keeps only their best entry; guests get one per life', (t) => {
+  const now = Date.UTC(2026, 9, 21, 12);
+  t.mock.method(Date, 'now', () => now);
+  const store = new LeaderboardStore(null);
+  store.record(life('Alice', 600, now, 'a1'));
+  store.record(life('Alice', 400, now, 'a1'));
+  store.record(life('Guest', 300, now));
+  store.record(life('Guest', 300, now));
+  assert.deepEqual(names(store.getTables().weekly), ['Alice', 'Guest', 'Guest']);
+
+  store.record(life('Alice', 800, now, 'a1'));
+  const entries = store.getTables().weekly.entries;
+  assert.equal(entries.length, 3);
+  assert.equal(entries[0].peakMass, 800);
+  assert.equal(entries[0].registered, true);
+});
+
+test('tables keep the best 100 entries', (t) => {
+  const now = Date.UTC(2026, 9, 21, 12);
+  t.mock.method(Date, 'now', () => now);
+  const store = new LeaderboardStore(null);
+  for (let i = 1; i <= 120; i++) {
+    store.record(life(`P${i}`, i, now));
+  }
+  const entries = store.getTables(1000).allTime.entries;
+  assert.equal(entries.length, 100);
+  assert.equal(entries[0].peakMass, 120);
+  assert.equal(entries[99].peakMass, 21);
+});
+
+test('daily tables start over at UTC midnight and weekly ones on UTC Monday', (t) => {
+  // Sunday 2026-10-25, late evening UTC
+  let now = Date.UTC(2026, 9, 25, 23, 30);
+  t.mock.method(Date, 'now', () => now);
+  const store = new LeaderboardStore(null);
+  store.record(life('Sunday', 500, now));
+  let tables = store.getTables();
+  assert.equal(tables.daily.period, '2026-10-25');
+  assert.equal(tables.weekly.period, '2026-10-19'); // The Monday before
+
+  // Monday: a new day and a new week, but all-time carries on
+  now = Date.UTC(2026, 9, 26, 0, 30);
+  tables = store.getTables();
+  assert.equal(tables.daily.period, '2026-10-26');
+  assert.equal(tables.weekly.period, '2026-10-26');
+  assert.deepEqual(tables.daily.entries, []);
+  assert.deepEqual(tables.weekly.entries, []);
+  assert.deepEqual(names(tables.allTime), ['Sunday']);
+
+  // Tuesday: the week's table keeps Monday's lives
+  store.record(life('Monday', 300, now));
+  now = Date.UTC(2026, 9, 27, 12);
+  tables = store.getTables();
+  assert.deepEqual(tables.daily.entries, []);
+  assert.deepEqual(names(tables.weekly), ['Monday']);
+});
+
+test('tables survive a reload; a file of another version is ignored', (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'leaderboards-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const path = join(dir, 'leaderboards.json');
+
+  const store = new LeaderboardStore(path);
+  store.record(life('Alice', 700, Date.now(), 'a1'));
+  store.save();
+  assert.deepEqual(names(new LeaderboardStore(path).getTables().allTime), ['Alice']);
+
+  writeFileSync(path, JSON.stringify({ version: 99, tables: {} }));
+  t.mock.method(console, 'warn', () => {});
+  assert.deepEqual(new LeaderboardStore(path).getTables().allTime.entries, []);
+});
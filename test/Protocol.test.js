@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  encodeMessage,
+  decodeMessage,
+  buildSnapshotState,
+  diffSnapshotStates,
+  createSnapshotState,
+  applySnapshotDelta,
+  PROTOCOL_VERSION
+} from '../shared/Protocol.js';
+
+// What GameWorld hands to a client's snapshot, trimmed to one of each entity
+function worldSnapshot(overrides = {}) {
+  return {
+    players: [{
+      id: 7,
+      name: 'Alice',
+      score: 1500,
+      color: '#ff0000',
+      isBot: false,
+      cells: [{ id: 1700000000000.5, x: 100.25, y: 200.5, mass: 1500 }]
+    }],
+    pellets: [{ id: 3, x: 10, y: 20, mass: 1, hue: 120 }],
+    viruses: [{ id: 4, x: 500, y: 600, mass: 100 }],
+    feedPellets: [],
+    virusProjectiles: [],
+    ...overrides
+  };
+}
+
+function snapshotMessage(seq, baselineSeq, delta) {
+  return {
+    type: 'snapshot',
+    seq,
+    baselineSeq,
+    timestamp: 1234.5,
+    delta,
+    inputSeq: 9,
+    movement: [],
+    playerCount: 1,
+    leaderboard: [{ id: 7, name: 'Alice', score: 1500 }],
+    events: [],
+    party: [],
+    spectateTarget: 0
+  };
+}
+
+test('simple messages survive an encode/decode round trip', () => {
+  const messages = [
+    { type: 'ping', timestamp: 123456.75 },
+    { type: 'setName', name: 'Ünïcödé name' },
+    { type: 'chat', channel: 'party', message: 'hello' },
+    { type: 'party', action: 'join', code: 'ABC234' },
+    { type: 'login', token: 'a'.repeat(64) },
+    { type: 'viewport', width: 1920, height: 1080, zoom: 1.5 }
+  ];
+  messages.forEach((message) => {
+    assert.deepEqual(decodeMessage(encodeMessage(message)), message);
+  });
+});
+
+test('input directions are quantized, not passed through', () => {
+  const decoded = decodeMessage(encodeMessage({
+    type: 'input',
+    seq: 5,
+    input: { dirX: 0.123456, dirY: -1, cursorX: 100.3, cursorY: 50 }
+  }));
+  assert.equal(decoded.seq, 5);
+  assert.ok(Math.abs(decoded.input.dirX - 0.123456) < 0.001);
+  assert.equal(decoded.input.dirY, -1);
+});
+
+test('messages from another protocol version are refused', () => {
+  const bytes = encodeMessage({ type: 'ping', timestamp: 1 });
+  bytes[0] = PROTOCOL_VERSION + 1;
+  assert.throws(() => decodeMessage(bytes), /Unsupported protocol version/);
+});
+
+test('truncated and padded messages are refused', () => {
+  const bytes = encodeMessage({ type: 'setName', name: 'Alice' });
+  assert.throws(() => decodeMessage(bytes.subarray(0, bytes.length - 1)), /Truncated/);
+  const padded = new Uint8Array(bytes.length + 1);
+  padded.set(bytes);
+  assert.throws(() => decodeMessage(padded), /Trailing bytes/);
+});
+
+test('a keyframe rebuilds every entity, quantized to wire precision', () => {
+  const state = buildSnapshotState(worldSnapshot());
+  const message = decodeMessage(encodeMessage(snapshotMessage(1, 0, diffSnapshotStates(null, state))));
+  assert.equal(message.seq, 1);
+  assert.deepEqual(message.leaderboard, [{ id: 7, name: 'Alice', score: 1500 }]);
+
+  const client = applySnapshotDelta(createSnapshotState(), message);
+  assert.deepEqual(client.players.get(7), { id: 7, name: 'Alice', score: 1500, color: '#ff0000', isBot: false });
+  const cell = client.cells.get(1700000000000.5);
+  assert.equal(cell.ownerId, 7);
+  assert.equal(cell.x, 100.25);
+  assert.equal(cell.y, 200.5);
+  assert.equal(client.pellets.get(3).hue, 120);
+  assert.equal(client.viruses.get(4).mass, 100);
+});
+
+test('a delta carries only what changed since its baseline', () => {
+  const baseline = buildSnapshotState(worldSnapshot());
+  const moved = worldSnapshot({ pellets: [], viruses: [{ id: 4, x: 500, y: 600, mass: 100 }] });
+  moved.players[0].cells[0].x = 150;
+  const current = buildSnapshotState(moved);
+
+  const delta = diffSnapshotStates(baseline, current);
+  assert.deepEqual(delta.pellets.removed, [3]);
+  assert.equal(delta.viruses.upserts.length, 0);
+  assert.equal(delta.players.upserts.length, 0);
+  assert.equal(delta.cells.upserts.length, 1);
+  assert.equal(delta.cells.upserts[0].mask, 1 << 1); // Only x
+
+  // Applied on top of the client's copy of the baseline, it gives the current state
+  const keyframe = decodeMessage(encodeMessage(snapshotMessage(1, 0, diffSnapshotStates(null, baseline))));
+  const clientBaseline = applySnapshotDelta(createSnapshotState(), keyframe);
+  const message = decodeMessage(encodeMessage(snapshotMessage(2, 1, delta)));
+  const client = applySnapshotDelta(clientBaseline, message);
+  assert.equal(client.cells.get(1700000000000.5).x, 150);
+  assert.equal(client.cells.get(1700000000000.5).y, 200.5);
+  assert.equal(client.pellets.size, 0);
+  // Unchanged entities keep their identity
+  assert.equal(client.players.get(7), clientBaseline.players.get(7));
+  assert.equal(client.viruses.get(4), clientBaseline.viruses.get(4));
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpatialHash } from '../server/SpatialHash.js';
+
+test('query finds entities within the square around a point, across buckets', () => {
+  const hash = new SpatialHash(100);
+  const near = { x: 95, y: 105 };
+  const edge = { x: 150, y: 150 };
+  const far = { x: 400, y: 400 };
+  [near, edge, far].forEach((entity) => hash.insert(entity));
+
+  assert.deepEqual(new Set(hash.query(100, 100, 50)), new Set([near, edge]));
+  assert.deepEqual(hash.query(100, 100, 10), [near]);
+  assert.equal(hash.size, 3);
+});
+
+test('entities slightly outside the map are still found', () => {
+  const hash = new SpatialHash(100);
+  const outside = { x: -20, y: -5 };
+  hash.insert(outside);
+  assert.deepEqual(hash.query(0, 0, 25), [outside]);
+});
+
+test('update moves an entity to its new bucket and remove forgets it', () => {
+  const hash = new SpatialHash(100);
+  const entity = { x: 10, y: 10 };
+  hash.insert(entity);
+  entity.x = 950;
+  hash.update(entity);
+  assert.deepEqual(hash.query(10, 10, 50), []);
+  assert.deepEqual(hash.query(950, 10, 50), [entity]);
+
+  hash.remove(entity);
+  assert.equal(hash.size, 0);
+  assert.equal(hash.buckets.size, 0);
+  hash.remove(entity); // Removing twice is harmless
+});
+
+test('findNearest searches outward, honors the filter and the distance limit', () => {
+  const hash = new SpatialHash(50);
+  const close = { x: 30, y: 0, id: 1 };
+  const farther = { x: 0, y: 200, id: 2 };
+  hash.insert(close);
+  hash.insert(farther);
+
+  assert.equal(hash.findNearest(0, 0, 1000), close);
+  assert.equal(hash.findNearest(0, 0, 1000, (entity) => entity.id !== 1), farther);
+  assert.equal(hash.findNearest(0, 0, 20), null);
+  // Inside the search square but beyond maxDistance
+  assert.equal(hash.findNearest(0, 0, 190, (entity) => entity.id === 2), null);
+});